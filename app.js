@@ -0,0 +1,258 @@
+// app.js
+
+const express = require("express");
+const cors = require("cors");
+
+const { LIST_HEADERS } = require("./utils/listQuery");
+const { createNotificationService } = require("./services/notifications");
+const { createEmailService } = require("./services/email");
+const { createDonationEmails } = require("./services/email/donationEmails");
+const { createRequestEventHub } = require("./services/requestEvents");
+const {
+  createAccountRestrictionService,
+} = require("./services/accountRestrictions");
+const { createRoleService } = require("./services/roles");
+const { createAuthMiddleware } = require("./middleware/auth");
+const { createScheduler } = require("./jobs/scheduler");
+const { createExpireStaleRequestsJob } = require("./jobs/expireStaleRequests");
+const {
+  createExpireContactRequestsJob,
+} = require("./jobs/expireContactRequests");
+const {
+  createLiftEndedSuspensionsJob,
+} = require("./jobs/liftEndedSuspensions");
+const { createUsersRouter } = require("./routes/users");
+const { createLocationsRouter } = require("./routes/locations");
+const { createDonationRequestsRouter } = require("./routes/donationRequests");
+const { createContactRequestsRouter } = require("./routes/contactRequests");
+const { createNotificationsRouter } = require("./routes/notifications");
+const { createStatsRouter } = require("./routes/stats");
+const { createBlogsRouter } = require("./routes/blogs");
+const { createFundingRouter } = require("./routes/funding");
+
+/**
+ * Builds the Express app around its external clients:
+ *
+ * - `db`: a MongoDB database handle (`client.db("bloodDB")`);
+ * - `auth`: an auth provider (see services/authProviders.js);
+ * - `payments`: a Stripe client, or disabled payments (see services/payments.js);
+ * - `emailTransport`: optional, defaults to the one configured by env.
+ *
+ * Nothing runs in the background until `startScheduler` and
+ * `startEmailWorker` are called, and indexes are only created by
+ * `ensureIndexes`, so tests can use the app without timers.
+ */
+const createApp = ({ db, auth, payments, emailTransport }) => {
+  const userCollection = db.collection("users");
+  const donationRequestCollection = db.collection("donationRequests");
+  const blogCollection = db.collection("blogs");
+  const fundingCollection = db.collection("funding");
+  const paymentIntentCollection = db.collection("paymentIntents");
+  const stripeEventCollection = db.collection("stripeEvents");
+  const auditLogCollection = db.collection("auditLog");
+  const notificationCollection = db.collection("notifications");
+  const emailQueueCollection = db.collection("emailQueue");
+  const emailLogCollection = db.collection("emailLog");
+  const jobLockCollection = db.collection("jobLocks");
+  const jobRunCollection = db.collection("jobRuns");
+  const contactRequestCollection = db.collection("contactRequests");
+
+  const notifications = createNotificationService({
+    notificationCollection,
+    userCollection,
+  });
+
+  const emailService = createEmailService({
+    emailQueueCollection,
+    emailLogCollection,
+    ...(emailTransport && { transport: emailTransport }),
+  });
+  const donationEmails = createDonationEmails(emailService);
+
+  const requestEvents = createRequestEventHub();
+
+  // Pushes the current state of a donation request to SSE subscribers
+  const publishRequestEvent = async (type, id) => {
+    try {
+      const request = await donationRequestCollection.findOne({ _id: id });
+      if (request) requestEvents.publish(type, request);
+    } catch (error) {
+      console.error("Error publishing donation request event:", error);
+    }
+  };
+
+  // Records a privileged action. Failures are logged but never block the
+  // action itself.
+  const recordAudit = async (
+    req,
+    { action, targetType, targetId, before = null, after = null }
+  ) => {
+    try {
+      await auditLogCollection.insertOne({
+        actorEmail: req.firebaseUser.email,
+        actorUid: req.firebaseUser.uid,
+        action,
+        targetType,
+        targetId: String(targetId),
+        before,
+        after,
+        createdAt: new Date(),
+      });
+    } catch (error) {
+      console.error("Error writing audit log:", error);
+    }
+  };
+
+  const accountRestrictions = createAccountRestrictionService({
+    donationRequestCollection,
+    notifications,
+    donationEmails,
+    onRequestChanged: (id) => publishRequestEvent("updated", id),
+  });
+
+  // The user document for a verified token: by uid, or by email for
+  // accounts created before uids were stored
+  const findUserByToken = async (firebaseUser) =>
+    (await userCollection.findOne({ uid: firebaseUser.uid })) ||
+    (firebaseUser.email
+      ? await userCollection.findOne({
+          email: firebaseUser.email,
+          uid: { $exists: false },
+        })
+      : null);
+
+  const roles = createRoleService({
+    auth,
+    findUser: findUserByToken,
+    cacheTtlMs: Number(process.env.ROLE_CACHE_TTL_MS) || 60 * 1000,
+    revocationCacheTtlMs:
+      Number(process.env.ROLE_REVOCATION_CACHE_TTL_MS) || 10 * 1000,
+  });
+
+  // Everything the routers need; each one takes the parts it uses
+  const context = {
+    userCollection,
+    donationRequestCollection,
+    blogCollection,
+    fundingCollection,
+    paymentIntentCollection,
+    stripeEventCollection,
+    auditLogCollection,
+    notificationCollection,
+    emailLogCollection,
+    jobRunCollection,
+    contactRequestCollection,
+    notifications,
+    donationEmails,
+    requestEvents,
+    publishRequestEvent,
+    accountRestrictions,
+    roles,
+    recordAudit,
+    findUserByToken,
+    auth,
+    payments,
+    ...createAuthMiddleware({ auth, findUser: findUserByToken, roles }),
+  };
+
+  const app = express();
+
+  // Middleware
+  app.use(cors({ exposedHeaders: LIST_HEADERS }));
+  app.use(
+    express.json({
+      // Keep the raw payload around so Stripe webhook signatures can be verified
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  // Root route
+  app.get("/", async (req, res) => {
+    res.send("Blood Connect is running perfectly!");
+  });
+
+  app.use(createUsersRouter(context));
+  app.use(createLocationsRouter());
+  app.use(createDonationRequestsRouter(context));
+  app.use(createContactRequestsRouter(context));
+  app.use(createNotificationsRouter(context));
+  app.use(createStatsRouter(context));
+  app.use(createBlogsRouter(context));
+  app.use(createFundingRouter(context));
+
+  // Failures are logged and never stop the server from starting
+  const ensureIndexes = () =>
+    Promise.all([
+      // One funding record per payment intent, even if Stripe retries a webhook
+      fundingCollection
+        .createIndex({ paymentIntentId: 1 }, { unique: true, sparse: true })
+        .catch((error) =>
+          console.error("Error creating funding index:", error)
+        ),
+
+      // Radius searches on donor and hospital coordinates
+      Promise.all([
+        userCollection.createIndex({ location: "2dsphere" }),
+        donationRequestCollection.createIndex({ location: "2dsphere" }),
+      ]).catch((error) => console.error("Error creating geo indexes:", error)),
+
+      // Accounts are keyed by Firebase uid; older documents may not have one yet
+      userCollection
+        .createIndex(
+          { uid: 1 },
+          {
+            unique: true,
+            partialFilterExpression: { uid: { $type: "string" } },
+          }
+        )
+        .catch((error) =>
+          console.error("Error creating user uid index:", error)
+        ),
+
+      // At most one pending contact request per donor and donation request
+      contactRequestCollection
+        .createIndex(
+          { donorId: 1, donationRequestId: 1 },
+          { unique: true, partialFilterExpression: { status: "pending" } }
+        )
+        .catch((error) =>
+          console.error("Error creating contact request index:", error)
+        ),
+    ]);
+
+  // Background jobs, safe to run on every instance thanks to job leases
+  const startScheduler = (intervalMs = 15 * 60 * 1000) => {
+    const scheduler = createScheduler({ jobLockCollection });
+    scheduler.schedule(
+      "expireStaleRequests",
+      intervalMs,
+      createExpireStaleRequestsJob({
+        donationRequestCollection,
+        jobRunCollection,
+        onExpired: (id) => publishRequestEvent("updated", id),
+      })
+    );
+    scheduler.schedule(
+      "expireContactRequests",
+      intervalMs,
+      createExpireContactRequestsJob({
+        contactRequestCollection,
+        jobRunCollection,
+      })
+    );
+    scheduler.schedule(
+      "liftEndedSuspensions",
+      intervalMs,
+      createLiftEndedSuspensionsJob({ userCollection, jobRunCollection })
+    );
+    return scheduler;
+  };
+
+  const startEmailWorker = (intervalMs) => emailService.startWorker(intervalMs);
+
+  return { app, ensureIndexes, startScheduler, startEmailWorker };
+};
+
+module.exports = { createApp };
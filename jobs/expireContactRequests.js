@@ -0,0 +1,30 @@
+// jobs/expireContactRequests.js
+
+/**
+ * Marks pending contact requests past their `expiresAt` as `expired` so
+ * they no longer count against the requester's pending limit. Reads already
+ * treat them as expired; this keeps the stored status in line.
+ */
+const createExpireContactRequestsJob = ({
+  contactRequestCollection,
+  jobRunCollection,
+}) => {
+  return async () => {
+    const startedAt = new Date();
+    const result = await contactRequestCollection.updateMany(
+      { status: "pending", expiresAt: { $lte: startedAt } },
+      { $set: { status: "expired", expiredAt: startedAt } }
+    );
+
+    const run = {
+      job: "expireContactRequests",
+      startedAt,
+      finishedAt: new Date(),
+      expired: result.modifiedCount,
+    };
+    await jobRunCollection.insertOne(run);
+    return run;
+  };
+};
+
+module.exports = { createExpireContactRequestsJob };
@@ -0,0 +1,120 @@
+// jobs/expireStaleRequests.js
+
+const { buildStatusHistoryEntry } = require("../utils/donationStatus");
+const { toDonationDateParts } = require("../schemas/donationRequest");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Days past the donation date before an inprogress or unconfirmed donated
+// request needs a follow-up
+const getFollowUpDays = () => {
+  const days = parseInt(process.env.FOLLOW_UP_AFTER_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : 3;
+};
+
+// Requests whose donationDate/donationTime is before `instant`
+const scheduledBefore = (instant) => {
+  const { date, time } = toDonationDateParts(instant);
+  return {
+    $or: [
+      { donationDate: { $lt: date } },
+      { donationDate: date, donationTime: { $lt: time } },
+    ],
+  };
+};
+
+/**
+ * Moves pending requests whose donation time has passed to `expired`, and
+ * flags inprogress or donated requests left unconfirmed for several days
+ * with `needsFollowUp`. Every update is conditional on the current state, so
+ * overlapping runs cannot change a request twice. Each run is recorded in
+ * `jobRunCollection` with the IDs it changed.
+ */
+const createExpireStaleRequestsJob = ({
+  donationRequestCollection,
+  jobRunCollection,
+  onExpired = () => {},
+}) => {
+  const expirePending = async (now) => {
+    const expired = [];
+    const candidates = await donationRequestCollection
+      .find(
+        { $and: [{ status: "pending" }, scheduledBefore(now)] },
+        { projection: { _id: 1 } }
+      )
+      .toArray();
+
+    for (const { _id } of candidates) {
+      const result = await donationRequestCollection.updateOne(
+        { _id, status: "pending" },
+        {
+          $set: { status: "expired", expiredAt: now },
+          $push: {
+            statusHistory: buildStatusHistoryEntry({
+              from: "pending",
+              to: "expired",
+              actorEmail: null,
+              actorRole: "system",
+              reason: "Donation date passed without a confirmed donor.",
+            }),
+          },
+        }
+      );
+      if (result.modifiedCount === 1) {
+        expired.push(_id);
+        await onExpired(_id);
+      }
+    }
+    return expired;
+  };
+
+  const flagOverdue = async (now) => {
+    const flagged = [];
+    const cutoff = new Date(now.getTime() - getFollowUpDays() * DAY_IN_MS);
+    const candidates = await donationRequestCollection
+      .find(
+        {
+          $and: [
+            {
+              status: { $in: ["inprogress", "donated"] },
+              needsFollowUp: { $ne: true },
+            },
+            scheduledBefore(cutoff),
+          ],
+        },
+        { projection: { _id: 1 } }
+      )
+      .toArray();
+
+    for (const { _id } of candidates) {
+      const result = await donationRequestCollection.updateOne(
+        {
+          _id,
+          status: { $in: ["inprogress", "donated"] },
+          needsFollowUp: { $ne: true },
+        },
+        { $set: { needsFollowUp: true, followUpFlaggedAt: now } }
+      );
+      if (result.modifiedCount === 1) flagged.push(_id);
+    }
+    return flagged;
+  };
+
+  return async () => {
+    const startedAt = new Date();
+    const expired = await expirePending(startedAt);
+    const flagged = await flagOverdue(startedAt);
+
+    const run = {
+      job: "expireStaleRequests",
+      startedAt,
+      finishedAt: new Date(),
+      expired,
+      flaggedForFollowUp: flagged,
+    };
+    await jobRunCollection.insertOne(run);
+    return run;
+  };
+};
+
+module.exports = { createExpireStaleRequestsJob };
@@ -0,0 +1,33 @@
+// jobs/liftEndedSuspensions.js
+
+/**
+ * Returns suspended users whose `suspendedUntil` has passed to `active`.
+ * The access guard already treats them as active; this keeps the stored
+ * status, admin filters and donor searches in line.
+ */
+const createLiftEndedSuspensionsJob = ({
+  userCollection,
+  jobRunCollection,
+}) => {
+  return async () => {
+    const startedAt = new Date();
+    const result = await userCollection.updateMany(
+      { status: "suspended", suspendedUntil: { $lte: startedAt } },
+      {
+        $set: { status: "active", statusChangedAt: startedAt },
+        $unset: { suspendedUntil: "", statusReason: "" },
+      }
+    );
+
+    const run = {
+      job: "liftEndedSuspensions",
+      startedAt,
+      finishedAt: new Date(),
+      lifted: result.modifiedCount,
+    };
+    await jobRunCollection.insertOne(run);
+    return run;
+  };
+};
+
+module.exports = { createLiftEndedSuspensionsJob };
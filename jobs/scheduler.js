@@ -0,0 +1,78 @@
+// jobs/scheduler.js
+
+const { randomUUID } = require("crypto");
+
+/**
+ * Runs named jobs on an interval. Before each run an instance takes a lease
+ * in `jobLockCollection`, so when several server instances run the same
+ * schedule only one of them executes a job at a time.
+ */
+const createScheduler = ({
+  jobLockCollection,
+  instanceId = `${process.pid}-${randomUUID().slice(0, 8)}`,
+}) => {
+  const timers = [];
+
+  // True if this instance now holds the lease for `name`
+  const acquireLease = async (name, leaseMs) => {
+    const now = new Date();
+    try {
+      const lock = await jobLockCollection.findOneAndUpdate(
+        {
+          _id: name,
+          $or: [
+            { lockedUntil: { $lte: now } },
+            { lockedUntil: { $exists: false } },
+          ],
+        },
+        {
+          $set: {
+            lockedBy: instanceId,
+            lockedAt: now,
+            lockedUntil: new Date(now.getTime() + leaseMs),
+          },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+      return lock?.lockedBy === instanceId;
+    } catch (error) {
+      // Another instance holds the lease, so the upsert hit the unique _id
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  };
+
+  const releaseLease = (name) =>
+    jobLockCollection.updateOne(
+      { _id: name, lockedBy: instanceId },
+      { $set: { lockedUntil: new Date() } }
+    );
+
+  // Runs the job once if the lease can be taken; returns its result or null
+  const runOnce = async (name, job, { leaseMs = 5 * 60 * 1000 } = {}) => {
+    if (!(await acquireLease(name, leaseMs))) return null;
+    try {
+      return await job();
+    } finally {
+      await releaseLease(name).catch(() => {});
+    }
+  };
+
+  const schedule = (name, intervalMs, job, options) => {
+    const tick = () =>
+      runOnce(name, job, options).catch((error) =>
+        console.error(`Scheduled job ${name} failed:`, error)
+      );
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    timers.push(timer);
+    // First run shortly after startup rather than a full interval later
+    setTimeout(tick, 5000).unref();
+  };
+
+  const stop = () => timers.forEach((timer) => clearInterval(timer));
+
+  return { instanceId, runOnce, schedule, stop };
+};
+
+module.exports = { createScheduler };
@@ -0,0 +1,232 @@
+// routes/blogs.js
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { listQuery, findPage, sendPage } = require("../utils/listQuery");
+
+/**
+ * Blog content management for admins and volunteers, and the public blog
+ * pages.
+ */
+const createBlogsRouter = ({
+  blogCollection,
+  recordAudit,
+  verifyFirebaseToken,
+  verifyAccountStatus,
+  verifyAdmin,
+  verifyAdminOrVolunteer,
+}) => {
+  const router = express.Router();
+
+  // POST a new blog post (Allow both Admins and Volunteers to POST blogs)
+  router.post(
+    "/blogs",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdminOrVolunteer,
+    async (req, res) => {
+      try {
+        const newBlog = req.body;
+        newBlog.status = "draft";
+        newBlog.createdAt = new Date();
+        const result = await blogCollection.insertOne(newBlog);
+        res.status(201).send(result);
+      } catch (error) {
+        console.error("Error creating blog post:", error);
+        res.status(500).send({ message: "Failed to create blog post." });
+      }
+    }
+  );
+
+  // GET all blog posts with status filtering (Allow both Admins and Volunteers to GET blogs)
+  router.get(
+    "/blogs",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdminOrVolunteer,
+    listQuery({
+      sortFields: ["createdAt", "title", "status"],
+      defaultSort: { field: "createdAt", direction: -1 }, // Show newest first
+      searchFields: ["title", "content"],
+    }),
+    async (req, res) => {
+      try {
+        const status = req.query.status;
+        const query = {};
+        if (status && status !== "all") {
+          query.status = status;
+        }
+        const page = await findPage(blogCollection, query, req.listQuery);
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching blogs:", error);
+        res.status(500).send({ message: "Failed to fetch blog posts." });
+      }
+    }
+  );
+  // GET all Published blog posts for the public blog page
+  router.get(
+    "/blogs/published",
+    listQuery({
+      sortFields: ["createdAt", "title"],
+      defaultSort: { field: "createdAt", direction: -1 }, // Show newest first
+      searchFields: ["title"],
+    }),
+    async (req, res) => {
+      try {
+        const query = { status: "published" };
+
+        const page = await findPage(blogCollection, query, req.listQuery, {
+          projection: {
+            title: 1,
+            thumbnail: 1,
+            createdAt: 1,
+          },
+        });
+
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching published blogs:", error);
+        res.status(500).send({ message: "Failed to fetch blogs." });
+      }
+    }
+  );
+
+  // Get a single blog by its ID (for the edit page)
+  router.get(
+    "/blogs/private/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("browse"),
+    verifyAdminOrVolunteer,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid blog ID format." });
+        }
+        const query = { _id: new ObjectId(id) };
+        const blog = await blogCollection.findOne(query);
+        if (!blog) {
+          return res.status(404).send({ message: "Blog not found." });
+        }
+        res.send(blog);
+      } catch (error) {
+        console.error("Error fetching single blog:", error);
+        res.status(500).send({ message: "Failed to fetch blog post." });
+      }
+    }
+  );
+
+  // GET a single blog post by its ID for the details page
+  router.get("/blogs/public/:id", async (req, res) => {
+    try {
+      const id = req.params.id;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ message: "Invalid blog ID format." });
+      }
+      const query = { _id: new ObjectId(id) };
+
+      const blog = await blogCollection.findOne(query);
+
+      if (!blog || blog.status !== "published") {
+        return res
+          .status(404)
+          .send({ message: "Blog not found or is not published." });
+      }
+      res.send(blog);
+    } catch (error) {
+      console.error("Error fetching single blog post:", error);
+      res.status(500).send({ message: "Failed to fetch blog post." });
+    }
+  });
+
+  // Update a blog post
+  router.patch(
+    "/blogs/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdminOrVolunteer,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid blog ID format." });
+        }
+        const updatedData = req.body;
+        const query = { _id: new ObjectId(id) };
+        const updateDoc = {
+          $set: {
+            title: updatedData.title,
+            thumbnail: updatedData.thumbnail,
+            content: updatedData.content,
+          },
+        };
+        const result = await blogCollection.updateOne(query, updateDoc);
+        res.send(result);
+      } catch (error) {
+        console.error("Error updating blog post:", error);
+        res.status(500).send({ message: "Failed to update blog post." });
+      }
+    }
+  );
+
+  // PATCH to update a blog's status (publish/unpublish)
+  router.patch(
+    "/blogs/status/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        const { status } = req.body;
+        if (!status || !["draft", "published"].includes(status)) {
+          return res.status(400).send({ message: "Invalid status provided." });
+        }
+        const query = { _id: new ObjectId(id) };
+        const updateDoc = { $set: { status: status } };
+        const result = await blogCollection.updateOne(query, updateDoc);
+        res.send(result);
+      } catch (error) {
+        console.error("Error updating blog status:", error);
+        res.status(500).send({ message: "Failed to update blog status." });
+      }
+    }
+  );
+
+  // DELETE a blog post
+  router.delete(
+    "/blogs/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid blog ID format." });
+        }
+        const query = { _id: new ObjectId(id) };
+        const blog = await blogCollection.findOne(query);
+        if (!blog) {
+          return res.status(404).send({ message: "Blog not found." });
+        }
+        const result = await blogCollection.deleteOne(query);
+        await recordAudit(req, {
+          action: "blog.delete",
+          targetType: "blog",
+          targetId: id,
+          before: blog,
+        });
+        res.send(result);
+      } catch (error) {
+        console.error("Error deleting blog post:", error);
+        res.status(500).send({ message: "Failed to delete blog post." });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createBlogsRouter };
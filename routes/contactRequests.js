@@ -0,0 +1,369 @@
+// routes/contactRequests.js
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validationErrorResponse, validate } = require("../utils/validate");
+const { listQuery, findPage, sendPage } = require("../utils/listQuery");
+const {
+  CONTACT_REQUEST_STATUSES,
+  getContactRequestLimits,
+  getContactRequestExpiry,
+  contactStatusFilter,
+  withEffectiveStatus,
+  summarizeDonationRequest,
+} = require("../utils/contactRequests");
+const { ownerFilter, ownerFields } = require("../utils/ownership");
+
+/**
+ * Contact requests from requesters to donors found through search. Donor
+ * contact details are only shared with a requester after the donor accepts
+ * a contact request tied to one of the requester's pending donation
+ * requests.
+ */
+const createContactRequestsRouter = ({
+  userCollection,
+  donationRequestCollection,
+  contactRequestCollection,
+  notifications,
+  verifyFirebaseToken,
+  verifyAccountStatus,
+}) => {
+  const router = express.Router();
+
+  const contactRequestSchema = {
+    fields: {
+      donorId: { type: "string", label: "Donor", required: true },
+      donationRequestId: {
+        type: "string",
+        label: "Donation request",
+        required: true,
+      },
+      message: { type: "string", label: "Message", maxLength: 500 },
+    },
+  };
+
+  // POST a contact request to a donor found through search
+  router.post(
+    "/contact-requests",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    async (req, res) => {
+      try {
+        const { value, errors } = validate(contactRequestSchema, req.body);
+        if (errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(errors));
+        }
+        if (
+          !ObjectId.isValid(value.donorId) ||
+          !ObjectId.isValid(value.donationRequestId)
+        ) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+
+        const requester = req.account.user;
+        const sentByRequester = ownerFilter("requester", req.firebaseUser);
+
+        const donationRequestId = new ObjectId(value.donationRequestId);
+        const donationRequest = await donationRequestCollection.findOne({
+          _id: donationRequestId,
+          ...sentByRequester,
+        });
+        if (!donationRequest) {
+          return res
+            .status(404)
+            .send({ message: "Donation request not found." });
+        }
+        if (donationRequest.status !== "pending") {
+          return res.status(409).send({
+            message:
+              "Contact requests can only be sent for pending donation requests.",
+          });
+        }
+
+        const donor = await userCollection.findOne({
+          _id: new ObjectId(value.donorId),
+          role: "donor",
+          status: "active",
+        });
+        if (!donor) {
+          return res.status(404).send({ message: "Donor not found." });
+        }
+        if (requester && donor._id.equals(requester._id)) {
+          return res.status(400).send({
+            message: "You cannot send a contact request to yourself.",
+          });
+        }
+
+        const now = new Date();
+        const limits = getContactRequestLimits();
+        const [pendingCount, dailyCount] = await Promise.all([
+          contactRequestCollection.countDocuments({
+            ...sentByRequester,
+            ...contactStatusFilter("pending", now),
+          }),
+          contactRequestCollection.countDocuments({
+            ...sentByRequester,
+            createdAt: { $gt: new Date(now.getTime() - 24 * 60 * 60 * 1000) },
+          }),
+        ]);
+        if (pendingCount >= limits.maxPending) {
+          return res.status(429).send({
+            message: `You can have at most ${limits.maxPending} pending contact requests. Wait for donors to respond.`,
+          });
+        }
+        if (dailyCount >= limits.dailyLimit) {
+          return res.status(429).send({
+            message: `You can send at most ${limits.dailyLimit} contact requests a day.`,
+          });
+        }
+
+        // A donor is asked once per donation request, unless an earlier
+        // request expired unanswered
+        const previous = await contactRequestCollection.findOne({
+          donorId: donor._id,
+          donationRequestId,
+          status: { $in: ["pending", "accepted", "declined"] },
+        });
+        if (
+          previous &&
+          withEffectiveStatus(previous, now).status !== "expired"
+        ) {
+          return res.status(409).send({
+            message: `You already have a ${previous.status} contact request with this donor for this donation request.`,
+          });
+        }
+        // A pending request past its expiry still holds the unique pending
+        // slot until the expiry job reaches it, so expire it now
+        if (previous?.status === "pending") {
+          await contactRequestCollection.updateOne(
+            { _id: previous._id, status: "pending", expiresAt: { $lte: now } },
+            { $set: { status: "expired", expiredAt: now } }
+          );
+        }
+
+        const contactRequest = {
+          donorId: donor._id,
+          donorEmail: donor.email,
+          donorName: donor.name || "",
+          ...ownerFields("requester", req.firebaseUser),
+          requesterName: requester?.name || req.firebaseUser.name || "",
+          donationRequestId,
+          donationRequest: summarizeDonationRequest(donationRequest),
+          message: value.message || null,
+          status: "pending",
+          createdAt: now,
+          expiresAt: getContactRequestExpiry(now),
+          respondedAt: null,
+        };
+
+        let result;
+        try {
+          result = await contactRequestCollection.insertOne(contactRequest);
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.status(409).send({
+              message:
+                "You already have a pending contact request with this donor for this donation request.",
+            });
+          }
+          throw error;
+        }
+
+        await notifications.notifyContactRequested(
+          contactRequest,
+          donationRequest
+        );
+        const { donorEmail, ...visible } = contactRequest;
+        res.status(201).send({ ...visible, _id: result.insertedId });
+      } catch (error) {
+        console.error("Error creating contact request:", error);
+        res.status(500).send({ message: "Failed to send contact request." });
+      }
+    }
+  );
+
+  const contactRequestListQuery = listQuery({
+    sortFields: ["createdAt", "status"],
+    defaultSort: { field: "createdAt", direction: -1 },
+  });
+
+  const contactRequestFilter = (base, status) => {
+    if (!status || status === "all") return base;
+    return { $and: [base, contactStatusFilter(status)] };
+  };
+
+  // GET contact requests sent to the logged-in donor
+  router.get(
+    "/contact-requests/incoming",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    contactRequestListQuery,
+    async (req, res) => {
+      try {
+        const { status } = req.query;
+        if (
+          status &&
+          status !== "all" &&
+          !CONTACT_REQUEST_STATUSES.includes(status)
+        ) {
+          return res.status(400).send({ message: "Invalid status." });
+        }
+        const page = await findPage(
+          contactRequestCollection,
+          contactRequestFilter(
+            { donorId: req.account.user?._id ?? null },
+            status
+          ),
+          req.listQuery
+        );
+        page.items = page.items.map((item) => withEffectiveStatus(item));
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching incoming contact requests:", error);
+        res.status(500).send({ message: "Failed to fetch contact requests." });
+      }
+    }
+  );
+
+  // GET contact requests sent by the logged-in requester. Accepted ones
+  // include the donor's current `donorContact` details.
+  router.get(
+    "/contact-requests/outgoing",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    contactRequestListQuery,
+    async (req, res) => {
+      try {
+        const { status } = req.query;
+        if (
+          status &&
+          status !== "all" &&
+          !CONTACT_REQUEST_STATUSES.includes(status)
+        ) {
+          return res.status(400).send({ message: "Invalid status." });
+        }
+        const page = await findPage(
+          contactRequestCollection,
+          contactRequestFilter(
+            ownerFilter("requester", req.firebaseUser),
+            status
+          ),
+          req.listQuery,
+          { projection: { donorEmail: 0 } }
+        );
+
+        const acceptedDonorIds = page.items
+          .filter((item) => item.status === "accepted")
+          .map((item) => item.donorId);
+        const donors =
+          acceptedDonorIds.length > 0
+            ? await userCollection
+                .find(
+                  { _id: { $in: acceptedDonorIds } },
+                  { projection: { name: 1, email: 1, phoneNumber: 1 } }
+                )
+                .toArray()
+            : [];
+        const contacts = new Map(
+          donors.map(({ _id, ...contact }) => [String(_id), contact])
+        );
+
+        page.items = page.items.map((item) => {
+          const visible = withEffectiveStatus(item);
+          return visible.status === "accepted"
+            ? {
+                ...visible,
+                donorContact: contacts.get(String(item.donorId)) || null,
+              }
+            : visible;
+        });
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching outgoing contact requests:", error);
+        res.status(500).send({ message: "Failed to fetch contact requests." });
+      }
+    }
+  );
+
+  // PATCH to accept or decline a contact request (donor only).
+  // Body: { decision: "accept" | "decline" }
+  router.patch(
+    "/contact-requests/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+        const { value, errors } = validate(
+          {
+            fields: {
+              decision: {
+                type: "string",
+                label: "Decision",
+                required: true,
+                enum: ["accept", "decline"],
+              },
+            },
+          },
+          req.body
+        );
+        if (errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(errors));
+        }
+
+        const now = new Date();
+        const updated = await contactRequestCollection.findOneAndUpdate(
+          {
+            _id: new ObjectId(id),
+            donorId: req.account.user?._id ?? null,
+            ...contactStatusFilter("pending", now),
+          },
+          {
+            $set: {
+              status: value.decision === "accept" ? "accepted" : "declined",
+              respondedAt: now,
+            },
+          },
+          { returnDocument: "after" }
+        );
+
+        if (!updated) {
+          const existing = await contactRequestCollection.findOne({
+            _id: new ObjectId(id),
+            donorId: req.account.user?._id ?? null,
+          });
+          if (!existing) {
+            return res
+              .status(404)
+              .send({ message: "Contact request not found." });
+          }
+          return res.status(409).send({
+            message: `This contact request is already ${
+              withEffectiveStatus(existing, now).status
+            }.`,
+          });
+        }
+
+        const donationRequest = await donationRequestCollection.findOne({
+          _id: updated.donationRequestId,
+        });
+        if (donationRequest) {
+          await notifications.notifyContactResponded(updated, donationRequest);
+        }
+        res.send(updated);
+      } catch (error) {
+        console.error("Error responding to contact request:", error);
+        res
+          .status(500)
+          .send({ message: "Failed to respond to contact request." });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createContactRequestsRouter };
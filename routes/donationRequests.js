@@ -0,0 +1,1193 @@
+// routes/donationRequests.js
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { getCompatibleDonorGroups } = require("../utils/bloodCompatibility");
+const {
+  getEligibility,
+  eligibleDonorFilter,
+  getEligibilityDate,
+  resolveDonationDate,
+} = require("../utils/eligibility");
+const {
+  OPEN_STATUSES,
+  isValidStatus,
+  getActorRoles,
+  getAllowedRoles,
+  canTransition,
+  pickActorRole,
+  buildStatusHistoryEntry,
+} = require("../utils/donationStatus");
+const { validationErrorResponse, validate } = require("../utils/validate");
+const { validateDonationRequest } = require("../schemas/donationRequest");
+const { getNeighbouringDistricts } = require("../utils/locations");
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listQuery,
+  findPage,
+  sendPage,
+} = require("../utils/listQuery");
+const {
+  INTERNAL_PROJECTION,
+  withoutInternalFields,
+} = require("../services/requestEvents");
+const {
+  DEFAULT_URGENCY,
+  URGENCY_RANK,
+  URGENCY_SORT,
+} = require("../utils/urgency");
+const {
+  parseRadiusQuery,
+  geoNearStage,
+  withinRadiusFilter,
+  approximateDistanceKm,
+  bucketDistanceKm,
+} = require("../utils/geo");
+const { getMatchRadiusKm, scoreDonorMatch } = require("../utils/matching");
+const {
+  ownerFilter,
+  isOwner,
+  ownerFields,
+  partyUserFilter,
+} = require("../utils/ownership");
+
+/**
+ * Donation requests: the public pending list, creating and editing
+ * requests, the status lifecycle, volunteer assignment and notes, donor
+ * matching and the live `/events` stream.
+ */
+const createDonationRequestsRouter = ({
+  userCollection,
+  donationRequestCollection,
+  notifications,
+  donationEmails,
+  requestEvents,
+  publishRequestEvent,
+  recordAudit,
+  verifyFirebaseToken,
+  tokenFromQuery,
+  verifyAccountStatus,
+  resolveRole,
+  verifyAdminOrVolunteer,
+}) => {
+  const router = express.Router();
+
+  // GET all Pending donation requests for the public page.
+  // With `lat`, `lng` and optionally `radiusKm`, only requests within the
+  // radius are returned, nearest first with a rounded `distanceKm`.
+  router.get("/donation-requests/pending", async (req, res) => {
+    try {
+      const query = { status: "pending" };
+      const projection = {
+        recipientName: 1,
+        recipientDistrict: 1,
+        recipientUpazila: 1,
+        bloodGroup: 1,
+        donationDate: 1,
+        donationTime: 1,
+        urgency: 1,
+      };
+
+      const { radius, errors } = parseRadiusQuery(req.query);
+      if (errors.length > 0) {
+        return res.status(400).send(validationErrorResponse(errors));
+      }
+
+      const pendingRequests = radius
+        ? await donationRequestCollection
+            .aggregate([
+              geoNearStage(radius, query),
+              { $sort: { distance: 1, ...URGENCY_SORT, _id: 1 } },
+              {
+                $project: {
+                  ...projection,
+                  distanceKm: approximateDistanceKm,
+                },
+              },
+            ])
+            .toArray()
+        : await donationRequestCollection
+            .find(query)
+            .sort({ ...URGENCY_SORT, _id: 1 })
+            .project(projection)
+            .toArray();
+
+      res.send(pendingRequests);
+    } catch (error) {
+      console.error("Error fetching pending donation requests:", error);
+      res
+        .status(500)
+        .send({ message: "An error occurred while fetching requests." });
+    }
+  });
+
+  const donationRequestListConfig = {
+    sortFields: [
+      "urgency",
+      "createdAt",
+      "donationDate",
+      "status",
+      "bloodGroup",
+      "recipientName",
+    ],
+    defaultSort: { field: "createdAt", direction: -1 },
+    // Most urgent first, then the soonest donation
+    compoundSorts: { urgency: URGENCY_SORT },
+    searchFields: [
+      "recipientName",
+      "requesterName",
+      "requesterEmail",
+      "hospitalName",
+      "fullAddress",
+      "recipientDistrict",
+      "recipientUpazila",
+    ],
+  };
+
+  // Get ALL donation requests (for Admin and Volunteer), with filtering
+  router.get(
+    "/donation-requests",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdminOrVolunteer,
+    listQuery({
+      ...donationRequestListConfig,
+      defaultSort: { field: "urgency", direction: 1 },
+    }),
+    async (req, res) => {
+      try {
+        const status = req.query.status;
+        const query = {};
+        if (status && status !== "all") {
+          query.status = status;
+        }
+        if (req.query.followUp === "true") {
+          query.needsFollowUp = true;
+        }
+        const page = await findPage(
+          donationRequestCollection,
+          query,
+          req.listQuery
+        );
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching all donation requests:", error);
+        res.status(500).send({ message: "Failed to fetch requests." });
+      }
+    }
+  );
+
+  // Get the current donor's donation requests with filtering and optional
+  // limit; without one (or with limit=0) every request is returned
+  router.get(
+    "/donation-requests/my-requests",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    listQuery({ ...donationRequestListConfig, unlimitedByDefault: true }),
+    async (req, res) => {
+      try {
+        const status = req.query.status;
+
+        const query = { ...ownerFilter("requester", req.firebaseUser) };
+
+        if (status && status !== "all") {
+          query.status = status;
+        }
+
+        const page = await findPage(
+          donationRequestCollection,
+          query,
+          req.listQuery,
+          { projection: INTERNAL_PROJECTION }
+        );
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching my donation requests:", error);
+        res.status(500).send({ message: "Failed to fetch donation requests." });
+      }
+    }
+  );
+
+  // Get the donation requests assigned to the current admin or volunteer
+  router.get(
+    "/donation-requests/assigned",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdminOrVolunteer,
+    listQuery({
+      ...donationRequestListConfig,
+      defaultSort: { field: "urgency", direction: 1 },
+    }),
+    async (req, res) => {
+      try {
+        const status = req.query.status;
+        const query = { ...ownerFilter("assignee", req.firebaseUser) };
+        if (status && status !== "all") {
+          query.status = status;
+        }
+        const page = await findPage(
+          donationRequestCollection,
+          query,
+          req.listQuery
+        );
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching assigned donation requests:", error);
+        res.status(500).send({ message: "Failed to fetch requests." });
+      }
+    }
+  );
+
+  // Get a single, detailed donation request by its ID. Internal notes and
+  // the assignment history are only included for admins and volunteers.
+  router.get(
+    "/donation-requests/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("browse"),
+    resolveRole,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        const query = { _id: new ObjectId(id) };
+        const request = await donationRequestCollection.findOne(query);
+
+        if (!request) {
+          return res.status(404).send({ message: "Request not found." });
+        }
+        if (req.role === "admin" || req.role === "volunteer") {
+          return res.send(request);
+        }
+        res.send(withoutInternalFields(request));
+      } catch (error) {
+        console.error("Error fetching single donation request:", error);
+        res.status(500).send({ message: "Failed to fetch request." });
+      }
+    }
+  );
+
+  // GET donors suggested for a request, best match first. Candidates are
+  // active, compatible donors eligible by the donation date and within
+  // MATCH_RADIUS_KM; see utils/matching for the ranking. Only admins,
+  // volunteers and the requester may ask, and only staff see contact
+  // details, last donation dates, per-factor scores and distances to the
+  // kilometre.
+  router.get(
+    "/donation-requests/:id/matches",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    resolveRole,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+        const request = await donationRequestCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!request) {
+          return res.status(404).send({ message: "Request not found." });
+        }
+
+        const isStaff = req.role === "admin" || req.role === "volunteer";
+        if (!isStaff && !isOwner("requester", request, req.firebaseUser)) {
+          return res.status(403).send({ msg: "unauthorized" });
+        }
+
+        const limit = Math.min(
+          Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1),
+          MAX_LIMIT
+        );
+        const now = new Date();
+        const radiusKm = getMatchRadiusKm();
+        const districtIds = [
+          request.recipientDistrictId,
+          ...getNeighbouringDistricts(
+            request.recipientDistrictId,
+            radiusKm
+          ).map((district) => district.id),
+        ];
+
+        const candidates = await userCollection
+          .find({
+            $and: [
+              {
+                role: "donor",
+                status: "active",
+                // Not the requester, nor the donor already confirmed
+                $nor: [
+                  partyUserFilter("requester", request),
+                  partyUserFilter("donor", request),
+                ].filter(Boolean),
+                bloodGroup: {
+                  $in: getCompatibleDonorGroups(request.bloodGroup),
+                },
+              },
+              eligibleDonorFilter(getEligibilityDate(request, now)),
+              {
+                $or: [
+                  { districtId: { $in: districtIds } },
+                  ...(request.location
+                    ? [
+                        withinRadiusFilter({
+                          point: request.location,
+                          radiusKm,
+                        }),
+                      ]
+                    : []),
+                ],
+              },
+            ],
+          })
+          .toArray();
+
+        // Reliability: donations each candidate confirmed vs completed,
+        // counted by uid so it survives an email change. Entries recorded
+        // before uids were stored are counted by email.
+        const uids = candidates.map((donor) => donor.uid).filter(Boolean);
+        const emails = candidates.map((donor) => donor.email);
+        const byCandidate = (uidField, emailField) => ({
+          $or: [
+            { [uidField]: { $in: uids } },
+            { [uidField]: null, [emailField]: { $in: emails } },
+          ],
+        });
+        const [confirmedCounts, completedCounts] = await Promise.all([
+          donationRequestCollection
+            .aggregate([
+              {
+                $match: {
+                  $or: [
+                    { "statusHistory.actorUid": { $in: uids } },
+                    { "statusHistory.actorEmail": { $in: emails } },
+                  ],
+                },
+              },
+              { $unwind: "$statusHistory" },
+              {
+                $match: {
+                  "statusHistory.to": "inprogress",
+                  "statusHistory.actorRole": "donor",
+                  ...byCandidate(
+                    "statusHistory.actorUid",
+                    "statusHistory.actorEmail"
+                  ),
+                },
+              },
+              {
+                $group: {
+                  _id: {
+                    uid: "$statusHistory.actorUid",
+                    email: "$statusHistory.actorEmail",
+                  },
+                  count: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray(),
+          donationRequestCollection
+            .aggregate([
+              {
+                $match: {
+                  status: "done",
+                  ...byCandidate("donorUid", "donorEmail"),
+                },
+              },
+              {
+                $group: {
+                  _id: { uid: "$donorUid", email: "$donorEmail" },
+                  count: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray(),
+        ]);
+        // Returns a donor's total: their uid's count plus any left under
+        // their email by entries without a uid
+        const countsByCandidate = (counts) => {
+          const byUid = new Map();
+          const byEmail = new Map();
+          counts.forEach(({ _id, count }) => {
+            const [totals, key] = _id.uid
+              ? [byUid, _id.uid]
+              : [byEmail, _id.email];
+            totals.set(key, (totals.get(key) || 0) + count);
+          });
+          return (donor) =>
+            (donor.uid ? byUid.get(donor.uid) || 0 : 0) +
+            (byEmail.get(donor.email) || 0);
+        };
+        const confirmed = countsByCandidate(confirmedCounts);
+        const completed = countsByCandidate(completedCounts);
+
+        const matches = candidates
+          .map((donor) => {
+            const history = {
+              confirmed: confirmed(donor),
+              completed: completed(donor),
+            };
+            const match = scoreDonorMatch(donor, request, history, now);
+            if (!match) return null;
+
+            return {
+              _id: donor._id,
+              name: donor.name,
+              bloodGroup: donor.bloodGroup,
+              district: donor.district,
+              upazila: donor.upazila,
+              photoURL: donor.photoURL,
+              ...(isStaff && {
+                email: donor.email,
+                phoneNumber: donor.phoneNumber,
+              }),
+              contactHours: donor.availability?.contactHours || null,
+              history,
+              score: match.score,
+              // The rest and location factors would give away the last
+              // donation date and the distance, so they are staff-only too
+              ...(isStaff && {
+                lastDonationDate: donor.lastDonationDate || null,
+                factors: match.factors,
+              }),
+              // Never exact: whole kilometres for staff, 5 km steps for
+              // the requester
+              distanceKm:
+                match.distanceKm === null
+                  ? null
+                  : isStaff
+                  ? Math.max(1, Math.round(match.distanceKm))
+                  : bucketDistanceKm(match.distanceKm),
+            };
+          })
+          .filter(Boolean)
+          .sort(
+            (a, b) =>
+              b.score - a.score || (a.name || "").localeCompare(b.name || "")
+          );
+
+        res.set("X-Total-Count", String(matches.length));
+        res.send(matches.slice(0, limit));
+      } catch (error) {
+        console.error("Error finding donor matches:", error);
+        res.status(500).send({ message: "Failed to find donor matches." });
+      }
+    }
+  );
+
+  // PATCH who is handling a request (admins and volunteers).
+  // Body: { assigneeEmail, note? }. Sending your own email claims an
+  // unassigned request; the current assignee or an admin can hand it over
+  // to another active volunteer or admin, or release it with `null`.
+  router.patch(
+    "/donation-requests/:id/assignment",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdminOrVolunteer,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+        const { value, errors } = validate(
+          {
+            fields: {
+              assigneeEmail: {
+                type: "string",
+                label: "Assignee email",
+                maxLength: 254,
+              },
+              note: { type: "string", label: "Note", maxLength: 500 },
+            },
+          },
+          req.body
+        );
+        if (errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(errors));
+        }
+        if (!value.assigneeEmail && req.body.assigneeEmail !== null) {
+          return res.status(400).send({
+            message: "Send an assigneeEmail, or null to release the request.",
+          });
+        }
+
+        const query = { _id: new ObjectId(id) };
+        const request = await donationRequestCollection.findOne(query);
+        if (!request) {
+          return res.status(404).send({ message: "Request not found." });
+        }
+        if (!OPEN_STATUSES.includes(request.status)) {
+          return res.status(400).send({
+            message: `A ${request.status} request can no longer be assigned.`,
+          });
+        }
+
+        const actorEmail = req.firebaseUser.email;
+        const actor = req.account.user;
+        const current = request.assignedTo?.email || null;
+        const target = value.assigneeEmail || null;
+
+        let assignee = null;
+        if (target) {
+          assignee = await userCollection.findOne({
+            email: target,
+            role: { $in: ["admin", "volunteer"] },
+            status: "active",
+          });
+          if (!assignee) {
+            return res.status(400).send({
+              message: "The assignee must be an active volunteer or admin.",
+            });
+          }
+        }
+        if (
+          assignee
+            ? current && isOwner("assignee", request, assignee)
+            : !current
+        ) {
+          return res.status(400).send({
+            message: target
+              ? `This request is already assigned to ${target}.`
+              : "This request is not assigned to anyone.",
+          });
+        }
+
+        const toSelf = !!assignee && !!actor && assignee._id.equals(actor._id);
+        const isClaim = current === null && toSelf;
+        const isAssignee =
+          current !== null && isOwner("assignee", request, req.firebaseUser);
+        if (req.role !== "admin" && !isClaim && !isAssignee) {
+          return res.status(403).send({
+            message: current
+              ? "Only an admin or the current assignee can reassign this request."
+              : "Volunteers can only claim unassigned requests for themselves.",
+          });
+        }
+
+        const now = new Date();
+        const historyEntry = {
+          from: current,
+          to: target,
+          byEmail: actorEmail,
+          note: value.note || null,
+          at: now,
+        };
+        const update = assignee
+          ? {
+              $set: {
+                assignedTo: {
+                  ...(assignee.uid && { uid: assignee.uid }),
+                  email: assignee.email,
+                  name: assignee.name || "",
+                  role: assignee.role,
+                  assignedAt: now,
+                  assignedBy: actorEmail,
+                },
+              },
+              $push: { assignmentHistory: historyEntry },
+            }
+          : {
+              $unset: { assignedTo: "" },
+              $push: { assignmentHistory: historyEntry },
+            };
+
+        // Only apply if nobody reassigned the request in the meantime
+        const result = await donationRequestCollection.updateOne(
+          { ...query, "assignedTo.email": current },
+          update
+        );
+        if (result.matchedCount === 0) {
+          return res.status(409).send({
+            message: "The assignment changed. Please refresh and retry.",
+          });
+        }
+
+        if (!isClaim) {
+          await recordAudit(req, {
+            action: "donationRequest.assign",
+            targetType: "donationRequest",
+            targetId: id,
+            before: { assignedTo: current },
+            after: { assignedTo: target },
+          });
+        }
+        if (assignee && !toSelf) {
+          await notifications.notifyRequestAssigned(
+            request,
+            assignee,
+            actor?.name
+          );
+        }
+        await publishRequestEvent("updated", request._id);
+        res.send(result);
+      } catch (error) {
+        console.error("Error assigning donation request:", error);
+        res.status(500).send({ message: "Failed to assign request." });
+      }
+    }
+  );
+
+  // POST an internal note on a request. Notes are only shown to admins and
+  // volunteers.
+  router.post(
+    "/donation-requests/:id/notes",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdminOrVolunteer,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+        const { value, errors } = validate(
+          {
+            fields: {
+              text: {
+                type: "string",
+                label: "Note",
+                required: true,
+                maxLength: 2000,
+              },
+            },
+          },
+          req.body
+        );
+        if (errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(errors));
+        }
+
+        const author = req.account.user;
+        const note = {
+          _id: new ObjectId(),
+          authorEmail: req.firebaseUser.email,
+          authorName: author?.name || "",
+          text: value.text,
+          createdAt: new Date(),
+        };
+        const result = await donationRequestCollection.updateOne(
+          { _id: new ObjectId(id) },
+          { $push: { internalNotes: note } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).send({ message: "Request not found." });
+        }
+        res.status(201).send(note);
+      } catch (error) {
+        console.error("Error adding internal note:", error);
+        res.status(500).send({ message: "Failed to add note." });
+      }
+    }
+  );
+
+  // Confirm a donation (change status to 'inprogress' and add donor info)
+  router.patch(
+    "/donation-requests/confirm/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+
+        const query = { _id: new ObjectId(id) };
+        const request = await donationRequestCollection.findOne(query);
+
+        if (!request) {
+          return res.status(404).send({ message: "Request not found." });
+        }
+        if (request.status !== "pending") {
+          return res
+            .status(400)
+            .send({ message: `This request is already ${request.status}.` });
+        }
+        if (isOwner("requester", request, req.firebaseUser)) {
+          return res
+            .status(403)
+            .send({ message: "You cannot donate to your own request." });
+        }
+
+        const donor = req.account.user;
+        const eligibility = getEligibility(donor, getEligibilityDate(request));
+        if (!eligibility.eligible) {
+          return res.status(403).send({
+            message:
+              "You will not be eligible to donate by this donation date.",
+            nextEligibleDate: eligibility.nextEligibleDate,
+          });
+        }
+
+        // Claim only if the request is still pending, so two donors
+        // confirming at the same time cannot both win
+        const donorEmail = req.firebaseUser.email;
+        const updateDoc = {
+          $set: {
+            status: "inprogress",
+            donorName: donor?.name || req.body.donorName || "",
+            ...ownerFields("donor", req.firebaseUser),
+          },
+          $push: {
+            statusHistory: buildStatusHistoryEntry({
+              from: "pending",
+              to: "inprogress",
+              actorUid: req.firebaseUser.uid,
+              actorEmail: donorEmail,
+              actorRole: "donor",
+            }),
+          },
+        };
+
+        const result = await donationRequestCollection.updateOne(
+          {
+            ...query,
+            status: "pending",
+            $nor: [ownerFilter("requester", req.firebaseUser)],
+          },
+          updateDoc
+        );
+        if (result.matchedCount === 0) {
+          return res.status(409).send({
+            message: "This request was just confirmed by another donor.",
+          });
+        }
+        await notifications.notifyRequestConfirmed(
+          request,
+          updateDoc.$set.donorName
+        );
+        await donationEmails.onConfirmed(request, {
+          donorName: updateDoc.$set.donorName,
+          donorEmail,
+        });
+        await publishRequestEvent("confirmed", request._id);
+        res.send(result);
+      } catch (error) {
+        console.error("Error confirming donation:", error);
+        res.status(500).send({ message: "Failed to confirm donation." });
+      }
+    }
+  );
+
+  // Withdraw the current donor from a request they confirmed. Body:
+  // { reason }. The request goes back to pending for other donors, the
+  // requester is told, and the withdrawal is kept on the donor's profile.
+  router.patch(
+    "/donation-requests/:id/withdraw",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+        const { value, errors } = validate(
+          {
+            fields: {
+              reason: {
+                type: "string",
+                label: "Reason",
+                required: true,
+                maxLength: 500,
+              },
+            },
+          },
+          req.body
+        );
+        if (errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(errors));
+        }
+
+        const query = { _id: new ObjectId(id) };
+        const request = await donationRequestCollection.findOne(query);
+        if (!request) {
+          return res.status(404).send({ message: "Request not found." });
+        }
+        const donorEmail = req.firebaseUser.email;
+        if (!isOwner("donor", request, req.firebaseUser)) {
+          return res.status(403).send({
+            message: "Only the confirmed donor can withdraw from a request.",
+          });
+        }
+        if (request.status !== "inprogress") {
+          return res.status(400).send({
+            message: `You cannot withdraw from a ${request.status} request.`,
+          });
+        }
+
+        const result = await donationRequestCollection.updateOne(
+          { ...query, status: "inprogress", donorEmail: request.donorEmail },
+          {
+            $set: { status: "pending" },
+            $unset: {
+              donorName: "",
+              donorUid: "",
+              donorEmail: "",
+              needsFollowUp: "",
+              followUpFlaggedAt: "",
+            },
+            $push: {
+              statusHistory: buildStatusHistoryEntry({
+                from: "inprogress",
+                to: "pending",
+                actorUid: req.firebaseUser.uid,
+                actorEmail: donorEmail,
+                actorRole: "donor",
+                reason: value.reason,
+              }),
+            },
+          }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(409).send({
+            message: "The request status changed. Please refresh and retry.",
+          });
+        }
+
+        await userCollection.updateOne(partyUserFilter("donor", request), {
+          $push: {
+            withdrawals: {
+              requestId: request._id,
+              reason: value.reason,
+              at: new Date(),
+            },
+          },
+        });
+
+        await donationEmails.onStatusChanged(request, "pending", {
+          reason: value.reason,
+        });
+        await notifications.notifyDonorWithdrew(request, value.reason);
+        await publishRequestEvent("updated", request._id);
+        res.send(result);
+      } catch (error) {
+        console.error("Error withdrawing from donation:", error);
+        res.status(500).send({ message: "Failed to withdraw." });
+      }
+    }
+  );
+
+  // Update a request (Owner, Admin, Or Volunteer can do this)
+  // A body with `status` (and an optional `reason`) is a status transition
+  // checked against STATUS_TRANSITIONS; anything else is an edit of the
+  // request details. Completion is two-sided: the donor reports `donated`,
+  // then the requester confirms `done` or raises a `disputed`, which staff
+  // settle.
+  router.patch(
+    "/donation-requests/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    resolveRole,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+
+        const updateData = req.body || {};
+        const query = { _id: new ObjectId(id) };
+
+        const request = await donationRequestCollection.findOne(query);
+        if (!request) {
+          return res.status(404).send({ message: "Request not found." });
+        }
+
+        if (updateData.status !== undefined) {
+          const { status, reason, ...rest } = updateData;
+          if (Object.keys(rest).length > 0) {
+            return res.status(400).send({
+              message:
+                "Status changes cannot be combined with other field updates.",
+            });
+          }
+          if (!isValidStatus(status)) {
+            return res
+              .status(400)
+              .send({ message: "Invalid status provided." });
+          }
+
+          const from = request.status || "pending";
+          if (!getAllowedRoles(from, status)) {
+            return res.status(400).send({
+              message: `Cannot change status from ${from} to ${status}.`,
+            });
+          }
+          if (from === "pending" && status === "inprogress") {
+            return res.status(400).send({
+              message:
+                "Use /donation-requests/confirm/:id to confirm a donation.",
+            });
+          }
+          if (status === "disputed" && !reason) {
+            return res.status(400).send({
+              message: "A reason is required to dispute a donation.",
+            });
+          }
+
+          const actorRoles = getActorRoles(
+            request,
+            { role: req.role },
+            req.firebaseUser
+          );
+          if (!canTransition(from, status, actorRoles)) {
+            return res.status(403).send({
+              message: "Forbidden: Not authorized to update status.",
+            });
+          }
+          const actorRole = pickActorRole(from, status, actorRoles);
+          if (
+            from === "inprogress" &&
+            status === "pending" &&
+            actorRole === "donor"
+          ) {
+            return res.status(400).send({
+              message:
+                "Use /donation-requests/:id/withdraw to withdraw from a donation.",
+            });
+          }
+
+          const statusUpdate = {
+            $set: { status: status },
+            $push: {
+              statusHistory: buildStatusHistoryEntry({
+                from,
+                to: status,
+                actorUid: req.firebaseUser.uid,
+                actorEmail: req.firebaseUser.email,
+                actorRole,
+                reason,
+              }),
+            },
+            // Any status change settles an overdue follow-up flag
+            $unset: { needsFollowUp: "", followUpFlaggedAt: "" },
+          };
+          if (status === "pending") {
+            // Staff released the donor, so the request is open again
+            statusUpdate.$unset.donorName = "";
+            statusUpdate.$unset.donorUid = "";
+            statusUpdate.$unset.donorEmail = "";
+          }
+
+          // Only apply if nobody changed the status in the meantime
+          const result = await donationRequestCollection.updateOne(
+            { ...query, status: request.status },
+            statusUpdate
+          );
+          if (result.matchedCount === 0) {
+            return res.status(409).send({
+              message: "The request status changed. Please refresh and retry.",
+            });
+          }
+
+          // A confirmed completion starts the donor's deferral period
+          if (status === "done" && request.donorEmail) {
+            await userCollection.updateOne(partyUserFilter("donor", request), {
+              $max: { lastDonationDate: resolveDonationDate(request) },
+            });
+          }
+
+          await donationEmails.onStatusChanged(request, status, { reason });
+
+          if (status === "donated") {
+            await notifications.notifyDonationReported(request);
+          } else if (status === "disputed") {
+            await notifications.notifyDonationDisputed(request, reason);
+          }
+
+          // The requester hears about outcomes they did not cause themselves
+          if (!isOwner("requester", request, req.firebaseUser)) {
+            if (status === "done") {
+              await notifications.notifyRequestCompleted(request);
+            } else if (status === "canceled") {
+              await notifications.notifyRequestCanceled(request, reason);
+            }
+          }
+
+          await publishRequestEvent("updated", request._id);
+          return res.send(result);
+        }
+
+        if (
+          !isOwner("requester", request, req.firebaseUser) &&
+          req.role !== "admin"
+        ) {
+          return res.status(403).send({
+            message: "Forbidden: Not authorized to edit this request.",
+          });
+        }
+        if (
+          ["donated", "disputed", "done", "canceled"].includes(request.status)
+        ) {
+          return res.status(400).send({
+            message: `A ${request.status} request can no longer be edited.`,
+          });
+        }
+
+        const { value: editableData, errors } = validateDonationRequest(
+          updateData,
+          { partial: true, existing: request }
+        );
+        if (errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(errors));
+        }
+        if (Object.keys(editableData).length === 0) {
+          return res.status(400).send({ message: "No fields to update." });
+        }
+
+        const updateDoc = { $set: editableData };
+        const result = await donationRequestCollection.updateOne(
+          query,
+          updateDoc
+        );
+        const rescheduled = ["donationDate", "donationTime"].some(
+          (field) =>
+            field in editableData &&
+            String(editableData[field]) !== String(request[field])
+        );
+        if (rescheduled) {
+          await donationEmails.onRescheduled({ ...request, ...editableData });
+        }
+        await publishRequestEvent("updated", request._id);
+        res.send(result);
+      } catch (error) {
+        console.error("Error updating donation request:", error);
+        res.status(500).send({ message: "Failed to update request." });
+      }
+    }
+  );
+
+  // Delete request (Owner Or Admin can do this. Volunteer cannot.)
+  router.delete(
+    "/donation-requests/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    resolveRole,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        const query = { _id: new ObjectId(id) };
+        const request = await donationRequestCollection.findOne(query);
+        if (!request) {
+          return res.status(404).send({ message: "Request not found." });
+        }
+
+        if (
+          !isOwner("requester", request, req.firebaseUser) &&
+          req.role !== "admin"
+        ) {
+          return res.status(403).send({
+            message: "Forbidden: Not authorized to delete this request.",
+          });
+        }
+
+        const result = await donationRequestCollection.deleteOne(query);
+        await donationEmails.onDeleted(request);
+        await recordAudit(req, {
+          action: "donationRequest.delete",
+          targetType: "donationRequest",
+          targetId: id,
+          before: request,
+        });
+        requestEvents.publish("deleted", request);
+        res.send(result);
+      } catch (error) {
+        console.error("Error deleting donation request:", error);
+        res.status(500).send({ message: "Failed to delete request." });
+      }
+    }
+  );
+
+  // POST to create a donation request
+  router.post(
+    "/donation-requests",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    async (req, res) => {
+      try {
+        const user = req.account.user;
+
+        const { value, errors } = validateDonationRequest(req.body);
+        if (errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(errors));
+        }
+
+        const newRequest = {
+          urgency: DEFAULT_URGENCY,
+          urgencyRank: URGENCY_RANK[DEFAULT_URGENCY],
+          ...value,
+          ...ownerFields("requester", req.firebaseUser),
+          requesterName: user?.name || req.firebaseUser.name || "",
+          status: "pending",
+          statusHistory: [],
+          createdAt: new Date(),
+        };
+
+        const result = await donationRequestCollection.insertOne(newRequest);
+        const createdRequest = { ...newRequest, _id: result.insertedId };
+        await notifications.notifyRequestCreated(createdRequest);
+        await donationEmails.onCreated(createdRequest);
+        requestEvents.publish("created", createdRequest);
+        res.status(201).send(result);
+      } catch (error) {
+        console.error("Error creating donation request:", error);
+        res.status(500).send({ message: "Failed to create donation request." });
+      }
+    }
+  );
+
+  // GET a Server-Sent Events stream of donation request changes.
+  // Reconnecting clients send Last-Event-ID to receive what they missed.
+  router.get(
+    "/events",
+    tokenFromQuery,
+    verifyFirebaseToken,
+    verifyAccountStatus("browse"),
+    resolveRole,
+    async (req, res) => {
+      try {
+        const viewer = {
+          uid: req.firebaseUser.uid,
+          email: req.firebaseUser.email,
+          role: req.role,
+        };
+
+        res.set({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+          "X-Accel-Buffering": "no",
+        });
+        res.flushHeaders();
+        // Ask the browser to wait 5 seconds before reconnecting
+        res.write("retry: 5000\n\n");
+
+        const unsubscribe = requestEvents.subscribe(
+          res,
+          viewer,
+          req.headers["last-event-id"] || req.query.lastEventId
+        );
+        // Comment lines keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+        req.on("close", () => {
+          clearInterval(heartbeat);
+          unsubscribe();
+        });
+      } catch (error) {
+        console.error("Error opening event stream:", error);
+        if (!res.headersSent) {
+          res.status(500).send({ message: "Failed to open event stream." });
+        } else {
+          res.end();
+        }
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createDonationRequestsRouter };
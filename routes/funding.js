@@ -0,0 +1,238 @@
+// routes/funding.js
+
+const express = require("express");
+const { listQuery, findPage, sendPage } = require("../utils/listQuery");
+const { PAYMENTS_DISABLED_MESSAGE } = require("../services/payments");
+
+/**
+ * Stripe payment intents, the signed Stripe webhook and recorded funding.
+ * `payments` is a Stripe client, or disabled payments (see services/payments.js),
+ * in which case these routes answer 503.
+ */
+const createFundingRouter = ({
+  fundingCollection,
+  paymentIntentCollection,
+  stripeEventCollection,
+  verifyFirebaseToken,
+  verifyAccountStatus,
+  payments,
+}) => {
+  const router = express.Router();
+
+  // POST to create a Stripe Payment Intent
+  router.post(
+    "/create-payment-intent",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    async (req, res) => {
+      if (payments.disabled) {
+        return res.status(503).send({ message: PAYMENTS_DISABLED_MESSAGE });
+      }
+      try {
+        const { price } = req.body;
+        const amountInCents = Math.round(parseFloat(price) * 100);
+
+        if (isNaN(amountInCents) || amountInCents < 50) {
+          // Stripe minimum is $0.50
+          return res.status(400).send({ message: "Invalid amount." });
+        }
+
+        const paymentIntent = await payments.paymentIntents.create({
+          amount: amountInCents,
+          currency: "usd",
+          payment_method_types: ["card"],
+          metadata: {
+            firebaseUid: req.firebaseUser.uid,
+            email: req.firebaseUser.email,
+          },
+        });
+
+        // Remember who created the intent so the webhook can attribute it
+        await paymentIntentCollection.insertOne({
+          paymentIntentId: paymentIntent.id,
+          firebaseUid: req.firebaseUser.uid,
+          email: req.firebaseUser.email,
+          name: req.firebaseUser.name || "",
+          amount: amountInCents,
+          currency: paymentIntent.currency,
+          status: "created",
+          createdAt: new Date(),
+        });
+
+        res.send({
+          clientSecret: paymentIntent.client_secret,
+          paymentIntentId: paymentIntent.id,
+        });
+      } catch (error) {
+        console.error("Error creating payment intent:", error);
+        res.status(500).send({ message: "Failed to create payment intent." });
+      }
+    }
+  );
+
+  // POST Stripe webhook events (signature verified, no Firebase token)
+  router.post("/stripe/webhook", async (req, res) => {
+    if (payments.disabled) {
+      return res.status(503).send({ message: PAYMENTS_DISABLED_MESSAGE });
+    }
+    const signature = req.headers["stripe-signature"];
+    if (!signature || !req.rawBody) {
+      return res.status(400).send({ message: "Missing Stripe signature." });
+    }
+
+    let event;
+    try {
+      event = payments.webhooks.constructEvent(
+        req.rawBody,
+        signature,
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      console.error("Invalid Stripe webhook signature:", error.message);
+      return res.status(400).send({ message: "Invalid Stripe signature." });
+    }
+
+    try {
+      // Stripe may deliver the same event more than once
+      try {
+        await stripeEventCollection.insertOne({
+          _id: event.id,
+          type: event.type,
+          receivedAt: new Date(),
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.send({ received: true, duplicate: true });
+        }
+        throw error;
+      }
+
+      const intent = event.data.object;
+      const handledTypes = {
+        "payment_intent.succeeded": "succeeded",
+        "payment_intent.payment_failed": "failed",
+        "payment_intent.canceled": "canceled",
+      };
+      const newStatus = handledTypes[event.type];
+
+      if (!newStatus) {
+        return res.send({ received: true });
+      }
+
+      const intentRecord = await paymentIntentCollection.findOne({
+        paymentIntentId: intent.id,
+      });
+      if (!intentRecord) {
+        // Not created through /create-payment-intent, so not ours to record
+        return res.send({ received: true, ignored: true });
+      }
+
+      const intentUpdate = {
+        status: newStatus,
+        updatedAt: new Date(),
+      };
+      if (newStatus === "failed") {
+        intentUpdate.failureMessage =
+          intent.last_payment_error?.message || "Payment failed.";
+      }
+      if (newStatus === "canceled") {
+        intentUpdate.cancellationReason = intent.cancellation_reason || null;
+      }
+
+      // A late failure or cancel event must not overwrite a success
+      await paymentIntentCollection.updateOne(
+        { paymentIntentId: intent.id, status: { $ne: "succeeded" } },
+        { $set: intentUpdate }
+      );
+
+      if (newStatus === "succeeded") {
+        const amountReceived = intent.amount_received ?? intent.amount;
+        await fundingCollection.updateOne(
+          { paymentIntentId: intent.id },
+          {
+            $setOnInsert: {
+              paymentIntentId: intent.id,
+              transactionId: intent.id,
+              firebaseUid: intentRecord.firebaseUid,
+              email: intentRecord.email,
+              name: intentRecord.name,
+              amount: amountReceived / 100,
+              currency: intent.currency,
+              date: new Date(intent.created * 1000),
+            },
+          },
+          { upsert: true }
+        );
+      }
+
+      res.send({ received: true });
+    } catch (error) {
+      console.error("Error handling Stripe webhook:", error);
+      // Let Stripe retry the delivery later
+      await stripeEventCollection.deleteOne({ _id: event.id }).catch(() => {});
+      res.status(500).send({ message: "Failed to process webhook event." });
+    }
+  });
+
+  // POST to check whether a payment has been recorded by the webhook
+  router.post(
+    "/funding",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    async (req, res) => {
+      try {
+        const { paymentIntentId } = req.body;
+        if (!paymentIntentId) {
+          return res
+            .status(400)
+            .send({ message: "A paymentIntentId is required." });
+        }
+
+        const intentRecord = await paymentIntentCollection.findOne({
+          paymentIntentId,
+          firebaseUid: req.firebaseUser.uid,
+        });
+        if (!intentRecord) {
+          return res.status(404).send({ message: "Payment not found." });
+        }
+
+        const funding = await fundingCollection.findOne({ paymentIntentId });
+        if (!funding) {
+          // Funding is only recorded once Stripe confirms the payment
+          return res
+            .status(202)
+            .send({ status: intentRecord.status, funding: null });
+        }
+        res.send({ status: "succeeded", funding });
+      } catch (error) {
+        console.error("Error checking funding info:", error);
+        res.status(500).send({ message: "Failed to check donation status." });
+      }
+    }
+  );
+
+  // GET all funding transactions for the table view
+  router.get(
+    "/funding",
+    verifyFirebaseToken,
+    verifyAccountStatus("browse"),
+    listQuery({
+      sortFields: ["date", "amount", "name"],
+      defaultSort: { field: "date", direction: -1 }, // Show newest first
+      searchFields: ["name", "email"],
+    }),
+    async (req, res) => {
+      try {
+        const page = await findPage(fundingCollection, {}, req.listQuery);
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching funding data:", error);
+        res.status(500).send({ message: "Failed to fetch funding data." });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createFundingRouter };
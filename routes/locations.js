@@ -0,0 +1,43 @@
+// routes/locations.js
+
+const express = require("express");
+const {
+  divisions,
+  findDistrict,
+  getDistricts,
+  getUpazilas,
+} = require("../utils/locations");
+
+/**
+ * Bangladesh divisions, districts and upazilas for location pickers.
+ */
+const createLocationsRouter = () => {
+  const router = express.Router();
+
+  router.get("/locations/divisions", (req, res) => {
+    res.send(divisions);
+  });
+
+  // GET districts, optionally within one division
+  router.get("/locations/districts", (req, res) => {
+    res.send(getDistricts(req.query.divisionId));
+  });
+
+  // GET a single district by ID or name, with its upazilas
+  router.get("/locations/districts/:district", (req, res) => {
+    const district = findDistrict(req.params.district);
+    if (!district) {
+      return res.status(404).send({ message: "District not found." });
+    }
+    res.send({ ...district, upazilas: getUpazilas(district.id) });
+  });
+
+  // GET upazilas, optionally within one district
+  router.get("/locations/upazilas", (req, res) => {
+    res.send(getUpazilas(req.query.districtId));
+  });
+
+  return router;
+};
+
+module.exports = { createLocationsRouter };
@@ -0,0 +1,201 @@
+// routes/notifications.js
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validationErrorResponse, validate } = require("../utils/validate");
+const { listQuery, findPage, sendPage } = require("../utils/listQuery");
+const { ownerFilter } = require("../utils/ownership");
+const {
+  NOTIFICATION_TYPES,
+  getPreferences,
+} = require("../services/notifications");
+
+/**
+ * The current user's in-app notifications and notification preferences.
+ */
+const createNotificationsRouter = ({
+  userCollection,
+  notificationCollection,
+  verifyFirebaseToken,
+  verifyAccountStatus,
+}) => {
+  const router = express.Router();
+
+  // GET the current user's notifications, newest first (?unread=true for unread only)
+  router.get(
+    "/notifications",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    listQuery({
+      sortFields: ["createdAt"],
+      defaultSort: { field: "createdAt", direction: -1 },
+      searchFields: ["title", "message"],
+    }),
+    async (req, res) => {
+      try {
+        const query = { ...ownerFilter("recipient", req.firebaseUser) };
+        if (req.query.unread === "true") {
+          query.read = false;
+        }
+        if (req.query.type) {
+          query.type = req.query.type;
+        }
+        const page = await findPage(
+          notificationCollection,
+          query,
+          req.listQuery
+        );
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching notifications:", error);
+        res.status(500).send({ message: "Failed to fetch notifications." });
+      }
+    }
+  );
+
+  // GET the number of unread notifications for the badge
+  router.get(
+    "/notifications/unread-count",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    async (req, res) => {
+      try {
+        const count = await notificationCollection.countDocuments({
+          ...ownerFilter("recipient", req.firebaseUser),
+          read: false,
+        });
+        res.send({ count });
+      } catch (error) {
+        console.error("Error counting unread notifications:", error);
+        res.status(500).send({ message: "Failed to count notifications." });
+      }
+    }
+  );
+
+  // PATCH to mark all of the current user's notifications as read
+  router.patch(
+    "/notifications/read-all",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    async (req, res) => {
+      try {
+        const result = await notificationCollection.updateMany(
+          { ...ownerFilter("recipient", req.firebaseUser), read: false },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        res.send(result);
+      } catch (error) {
+        console.error("Error marking notifications as read:", error);
+        res.status(500).send({ message: "Failed to update notifications." });
+      }
+    }
+  );
+
+  // GET the current user's notification preferences
+  router.get(
+    "/notifications/preferences",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    async (req, res) => {
+      try {
+        const { user } = req.account;
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+        res.send(getPreferences(user));
+      } catch (error) {
+        console.error("Error fetching notification preferences:", error);
+        res.status(500).send({ message: "Failed to fetch preferences." });
+      }
+    }
+  );
+
+  // PATCH the event types the current user wants to receive
+  router.patch(
+    "/notifications/preferences",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    async (req, res) => {
+      try {
+        if (!req.account.user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+
+        const preferenceSchema = {
+          fields: Object.fromEntries(
+            NOTIFICATION_TYPES.map((type) => [
+              type,
+              { type: "boolean", label: type },
+            ])
+          ),
+        };
+        const { value, errors } = validate(preferenceSchema, req.body, {
+          partial: true,
+        });
+        if (errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(errors));
+        }
+        if (Object.keys(value).length === 0) {
+          return res.status(400).send({ message: "No fields to update." });
+        }
+
+        const updateDoc = {
+          $set: Object.fromEntries(
+            Object.entries(value).map(([type, enabled]) => [
+              `notificationPreferences.${type}`,
+              enabled,
+            ])
+          ),
+        };
+        const user = await userCollection.findOneAndUpdate(
+          { _id: req.account.user._id },
+          updateDoc,
+          {
+            returnDocument: "after",
+            projection: { notificationPreferences: 1 },
+          }
+        );
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+        res.send(getPreferences(user));
+      } catch (error) {
+        console.error("Error updating notification preferences:", error);
+        res.status(500).send({ message: "Failed to update preferences." });
+      }
+    }
+  );
+
+  // PATCH to mark a single notification as read
+  router.patch(
+    "/notifications/:id/read",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+        const result = await notificationCollection.updateOne(
+          {
+            _id: new ObjectId(id),
+            ...ownerFilter("recipient", req.firebaseUser),
+          },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).send({ message: "Notification not found." });
+        }
+        res.send(result);
+      } catch (error) {
+        console.error("Error marking notification as read:", error);
+        res.status(500).send({ message: "Failed to update notification." });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createNotificationsRouter };
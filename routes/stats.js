@@ -0,0 +1,299 @@
+// routes/stats.js
+
+const express = require("express");
+const { listQuery, findPage, sendPage } = require("../utils/listQuery");
+const { DEFAULT_URGENCY } = require("../utils/urgency");
+
+/**
+ * Dashboard statistics for admins and volunteers, and the operational
+ * logs admins can browse: job runs, the audit log and the email log.
+ */
+const createStatsRouter = ({
+  userCollection,
+  donationRequestCollection,
+  fundingCollection,
+  auditLogCollection,
+  emailLogCollection,
+  jobRunCollection,
+  verifyFirebaseToken,
+  verifyAccountStatus,
+  verifyAdmin,
+  verifyAdminOrVolunteer,
+}) => {
+  const router = express.Router();
+
+  // GET admin statistics for the dashboard
+  router.get(
+    "/admin-stats",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdminOrVolunteer,
+    async (req, res) => {
+      try {
+        const totalUsers = await userCollection.countDocuments();
+        const totalRequests = await donationRequestCollection.countDocuments();
+
+        const fundingPipeline = [
+          { $group: { _id: null, total: { $sum: "$amount" } } },
+        ];
+        const fundingResult = await fundingCollection
+          .aggregate(fundingPipeline)
+          .toArray();
+        const totalFunding =
+          fundingResult.length > 0 ? fundingResult[0].total : 0;
+
+        res.send({ totalUsers, totalFunding, totalRequests });
+      } catch (error) {
+        console.error("Error fetching admin stats:", error);
+        res.status(500).send({ message: "Failed to fetch admin statistics." });
+      }
+    }
+  );
+
+  // GET FULL dashboard statistics for charts and cards
+  router.get(
+    "/dashboard-stats",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdmin,
+    async (req, res) => {
+      let totalUsers = 0;
+      let totalRequests = 0;
+      let totalFunding = 0;
+      let bloodTypeDistribution = [];
+      let statusDistribution = [];
+      let monthlyDonations = [];
+      let expiredRequests = 0;
+      let followUpRequests = 0;
+      let criticalRequests = 0;
+      let urgencyDistribution = [];
+      let completedDonations = 0;
+      let awaitingConfirmation = 0;
+      let disputedRequests = 0;
+
+      try {
+        try {
+          totalUsers = await userCollection.countDocuments();
+          totalRequests = await donationRequestCollection.countDocuments();
+        } catch (error) {
+          console.error("Error fetching basic counts:", error);
+        }
+
+        try {
+          const fundingPipeline = [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: { $ifNull: ["$amount", 0] } },
+              },
+            },
+          ];
+          const fundingResult = await fundingCollection
+            .aggregate(fundingPipeline)
+            .toArray();
+          totalFunding = fundingResult.length > 0 ? fundingResult[0].total : 0;
+        } catch (error) {
+          console.error("Error fetching funding stats:", error);
+        }
+
+        try {
+          bloodTypeDistribution = await donationRequestCollection
+            .aggregate([
+              { $group: { _id: "$bloodGroup", count: { $sum: 1 } } },
+              { $project: { name: "$_id", value: "$count", _id: 0 } },
+              { $sort: { name: 1 } },
+            ])
+            .toArray();
+        } catch (error) {
+          console.error("Error fetching blood type distribution:", error);
+        }
+
+        try {
+          statusDistribution = await donationRequestCollection
+            .aggregate([
+              { $group: { _id: "$status", count: { $sum: 1 } } },
+              { $project: { name: "$_id", count: "$count", _id: 0 } },
+            ])
+            .toArray();
+        } catch (error) {
+          console.error("Error fetching status distribution:", error);
+        }
+
+        try {
+          monthlyDonations = await donationRequestCollection
+            .aggregate([
+              {
+                $group: {
+                  _id: {
+                    $dateToString: {
+                      format: "%Y-%m",
+                      date: { $toDate: { $ifNull: ["$createdAt", "$_id"] } },
+                    },
+                  },
+                  count: { $sum: 1 },
+                },
+              },
+              { $project: { month: "$_id", count: "$count", _id: 0 } },
+              { $sort: { month: 1 } },
+            ])
+            .toArray();
+        } catch (error) {
+          console.error("Error fetching monthly donations:", error);
+        }
+
+        try {
+          expiredRequests = await donationRequestCollection.countDocuments({
+            status: "expired",
+          });
+          followUpRequests = await donationRequestCollection.countDocuments({
+            status: { $in: ["inprogress", "donated", "disputed"] },
+            needsFollowUp: true,
+          });
+        } catch (error) {
+          console.error("Error fetching expiry stats:", error);
+        }
+
+        try {
+          // Only donations the requester (or staff) confirmed count as done
+          completedDonations = await donationRequestCollection.countDocuments({
+            status: "done",
+          });
+          awaitingConfirmation = await donationRequestCollection.countDocuments(
+            {
+              status: "donated",
+            }
+          );
+          disputedRequests = await donationRequestCollection.countDocuments({
+            status: "disputed",
+          });
+        } catch (error) {
+          console.error("Error fetching completion stats:", error);
+        }
+
+        try {
+          // Critical requests that still need a donor or a donation
+          criticalRequests = await donationRequestCollection.countDocuments({
+            urgency: "critical",
+            status: { $in: ["pending", "inprogress"] },
+          });
+          urgencyDistribution = await donationRequestCollection
+            .aggregate([
+              {
+                $group: {
+                  _id: { $ifNull: ["$urgency", DEFAULT_URGENCY] },
+                  count: { $sum: 1 },
+                },
+              },
+              { $project: { name: "$_id", count: "$count", _id: 0 } },
+            ])
+            .toArray();
+        } catch (error) {
+          console.error("Error fetching urgency stats:", error);
+        }
+
+        res.send({
+          totalUsers,
+          totalRequests,
+          totalFunding,
+          bloodTypeDistribution,
+          statusDistribution,
+          monthlyDonations,
+          expiredRequests,
+          followUpRequests,
+          criticalRequests,
+          urgencyDistribution,
+          completedDonations,
+          awaitingConfirmation,
+          disputedRequests,
+        });
+      } catch (error) {
+        console.error("A critical error occurred in /dashboard-stats:", error);
+        res.status(500).send({
+          message:
+            "A critical error occurred while fetching dashboard statistics.",
+        });
+      }
+    }
+  );
+
+  // GET the recorded runs of background jobs and what each one changed
+  router.get(
+    "/job-runs",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdmin,
+    listQuery({
+      sortFields: ["startedAt"],
+      defaultSort: { field: "startedAt", direction: -1 },
+    }),
+    async (req, res) => {
+      try {
+        const query = {};
+        if (req.query.job) query.job = req.query.job;
+        const page = await findPage(jobRunCollection, query, req.listQuery);
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching job runs:", error);
+        res.status(500).send({ message: "Failed to fetch job runs." });
+      }
+    }
+  );
+
+  // GET the audit log of privileged actions, filterable by actor, action and target
+  router.get(
+    "/audit-log",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdmin,
+    listQuery({
+      sortFields: ["createdAt", "action", "actorEmail"],
+      defaultSort: { field: "createdAt", direction: -1 },
+      searchFields: ["actorEmail", "action", "targetId"],
+    }),
+    async (req, res) => {
+      try {
+        const { actor, action, targetType, targetId } = req.query;
+        const query = {};
+        if (actor) query.actorEmail = actor;
+        if (action) query.action = action;
+        if (targetType) query.targetType = targetType;
+        if (targetId) query.targetId = targetId;
+
+        const page = await findPage(auditLogCollection, query, req.listQuery);
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching audit log:", error);
+        res.status(500).send({ message: "Failed to fetch audit log." });
+      }
+    }
+  );
+
+  // GET the log of delivered emails (Admin only)
+  router.get(
+    "/email-log",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdmin,
+    listQuery({
+      sortFields: ["sentAt"],
+      defaultSort: { field: "sentAt", direction: -1 },
+      searchFields: ["to", "subject", "template"],
+    }),
+    async (req, res) => {
+      try {
+        const query = {};
+        if (req.query.to) query.to = req.query.to;
+        if (req.query.template) query.template = req.query.template;
+        const page = await findPage(emailLogCollection, query, req.listQuery);
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching email log:", error);
+        res.status(500).send({ message: "Failed to fetch email log." });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createStatsRouter };
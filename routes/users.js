@@ -0,0 +1,749 @@
+// routes/users.js
+
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  isValidBloodGroup,
+  getCompatibleDonorGroups,
+} = require("../utils/bloodCompatibility");
+const { getEligibility, eligibleDonorFilter } = require("../utils/eligibility");
+const { OPEN_STATUSES } = require("../utils/donationStatus");
+const { validationErrorResponse, validate } = require("../utils/validate");
+const { toDonationDateTime } = require("../schemas/donationRequest");
+const { validateUserProfile } = require("../schemas/userProfile");
+const { resolveLocation } = require("../utils/locations");
+const {
+  listQuery,
+  buildListFilter,
+  findPage,
+  sendPage,
+} = require("../utils/listQuery");
+const {
+  MIN_DONOR_RADIUS_KM,
+  parseCoordinates,
+  parseRadiusQuery,
+  geoNearStage,
+  withinRadiusFilter,
+  approximateDistanceKm,
+} = require("../utils/geo");
+const {
+  getAvailability,
+  isAvailableOn,
+  availableDonorFilter,
+  validateAvailability,
+} = require("../utils/availability");
+const { getWithdrawalSummary } = require("../utils/withdrawals");
+const { ACCOUNT_STATUSES } = require("../utils/accountStatus");
+
+/**
+ * Donor search and user accounts: provisioning and login, profiles,
+ * eligibility and availability, and admin management of roles and statuses.
+ */
+const createUsersRouter = ({
+  userCollection,
+  donationRequestCollection,
+  accountRestrictions,
+  roles,
+  recordAudit,
+  findUserByToken,
+  verifyFirebaseToken,
+  verifyAccountStatus,
+  resolveRole,
+  verifyAdmin,
+  auth,
+}) => {
+  const router = express.Router();
+
+  // GET to search for available donors
+  // Pass `recipientGroup` with `compatible=true` to include every donor who
+  // can give to that group, ranked exact match first and O- last.
+  // Pass `lat`, `lng` and optionally `radiusKm` to search around a point;
+  // results are then ordered nearest first with a rounded `distanceKm`.
+  router.get(
+    "/search-donors",
+    listQuery({
+      sortFields: ["name", "bloodGroup", "district", "upazila"],
+      defaultSort: { field: "name", direction: 1 },
+      searchFields: ["name", "district", "upazila"],
+    }),
+    async (req, res) => {
+      try {
+        const { bloodGroup, district, upazila, recipientGroup, compatible } =
+          req.query;
+
+        const query = {
+          status: "active",
+          role: "donor",
+        };
+
+        // Never includes `location` or contact details; requesters reach a
+        // donor through a contact request using the donor's `_id`
+        const donorProjection = {
+          name: 1,
+          bloodGroup: 1,
+          district: 1,
+          upazila: 1,
+          photoURL: 1,
+          "availability.contactHours": 1,
+        };
+
+        const location = resolveLocation({ district, upazila });
+        if (location.errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(location.errors));
+        }
+        if (location.district) {
+          query.districtId = location.district.id;
+        }
+        if (location.upazila) {
+          query.upazilaId = location.upazila.id;
+        }
+
+        const { radius, errors: radiusErrors } = parseRadiusQuery(req.query, {
+          minRadiusKm: MIN_DONOR_RADIUS_KM,
+        });
+        if (radiusErrors.length > 0) {
+          return res.status(400).send(validationErrorResponse(radiusErrors));
+        }
+
+        // Leave out donors still inside their post-donation deferral window
+        // and those who marked themselves unavailable today
+        Object.assign(query, eligibleDonorFilter(), availableDonorFilter());
+
+        let donorGroups = null;
+        let targetGroup = null;
+        if (compatible === "true") {
+          targetGroup = recipientGroup || bloodGroup;
+          if (!isValidBloodGroup(targetGroup)) {
+            return res
+              .status(400)
+              .send({ message: "A valid recipientGroup is required." });
+          }
+          donorGroups = getCompatibleDonorGroups(targetGroup);
+          query.bloodGroup = { $in: donorGroups };
+        } else if (bloodGroup) {
+          query.bloodGroup = bloodGroup;
+        }
+
+        if (!donorGroups && !radius) {
+          const page = await findPage(userCollection, query, req.listQuery, {
+            projection: donorProjection,
+          });
+          return sendPage(res, page, req.listQuery);
+        }
+
+        if (req.listQuery.cursor) {
+          return res.status(400).send({
+            message:
+              "Use page instead of cursor with compatible=true or a radius search.",
+          });
+        }
+
+        // Distance or compatibility ranking replaces the requested sort
+        const filter = buildListFilter(query, req.listQuery);
+        const pipeline = [
+          radius ? geoNearStage(radius, filter) : { $match: filter },
+        ];
+        const projection = { ...donorProjection };
+        if (donorGroups) {
+          pipeline.push({
+            $addFields: {
+              matchRank: { $indexOfArray: [donorGroups, "$bloodGroup"] },
+            },
+          });
+          projection.exactMatch = { $eq: ["$bloodGroup", targetGroup] };
+        }
+        if (radius) {
+          pipeline.push({
+            $sort: donorGroups
+              ? { distance: 1, matchRank: 1, _id: 1 }
+              : { distance: 1, _id: 1 },
+          });
+          projection.distanceKm = approximateDistanceKm;
+        } else {
+          pipeline.push({ $sort: { matchRank: 1, name: 1, _id: 1 } });
+        }
+        pipeline.push(
+          { $skip: req.listQuery.skip },
+          { $limit: req.listQuery.limit },
+          { $project: projection }
+        );
+
+        const [donors, total] = await Promise.all([
+          userCollection.aggregate(pipeline).toArray(),
+          userCollection.countDocuments(
+            radius ? { $and: [filter, withinRadiusFilter(radius)] } : filter
+          ),
+        ]);
+
+        sendPage(res, { items: donors, total }, req.listQuery);
+      } catch (error) {
+        console.error("Error searching for donors:", error);
+        res
+          .status(500)
+          .send({ message: "An error occurred while searching for donors." });
+      }
+    }
+  );
+
+  // GET all users with optional status filtering
+  router.get(
+    "/get-users",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdmin,
+    listQuery({
+      sortFields: ["name", "email", "role", "status", "bloodGroup", "_id"],
+      defaultSort: { field: "_id", direction: -1 },
+      searchFields: ["name", "email", "district", "upazila", "bloodGroup"],
+    }),
+    async (req, res) => {
+      try {
+        const status = req.query.status;
+        // Everyone but the admin asking
+        const query = req.account.user
+          ? { _id: { $ne: req.account.user._id } }
+          : {};
+
+        if (status && status !== "all") {
+          query.status = status;
+        }
+        if (req.query.available === "true") {
+          Object.assign(query, availableDonorFilter());
+        } else if (req.query.available === "false") {
+          query.$nor = [availableDonorFilter()];
+        }
+        const page = await findPage(userCollection, query, req.listQuery);
+        page.items = page.items.map((user) => ({
+          ...user,
+          availableToday: isAvailableOn(user),
+        }));
+        sendPage(res, page, req.listQuery);
+      } catch (error) {
+        console.error("Error fetching all users:", error);
+        res.status(500).send({ message: "Failed to fetch users." });
+      }
+    }
+  );
+
+  // PATCH to update a user's status (block/unblock)
+  router.patch(
+    "/update-users/status/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        const { value, errors } = validate(
+          {
+            fields: {
+              status: {
+                type: "string",
+                label: "Status",
+                required: true,
+                enum: ACCOUNT_STATUSES,
+              },
+              // The suspension ends at the start of this local date
+              suspendedUntil: { type: "date", label: "Suspended until" },
+              reason: { type: "string", label: "Reason", maxLength: 500 },
+            },
+          },
+          req.body
+        );
+        if (errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(errors));
+        }
+        const { status, reason } = value;
+        let suspendedUntil = null;
+        if (status === "suspended") {
+          suspendedUntil = value.suspendedUntil
+            ? toDonationDateTime(value.suspendedUntil, "00:00")
+            : null;
+          if (!suspendedUntil || suspendedUntil <= new Date()) {
+            return res.status(400).send({
+              message: "A suspension needs a future suspendedUntil date.",
+            });
+          }
+        }
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+        const query = { _id: new ObjectId(id) };
+        const user = await userCollection.findOne(query);
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+
+        const updateDoc =
+          status === "active"
+            ? {
+                $set: { status, statusChangedAt: new Date() },
+                $unset: { suspendedUntil: "", statusReason: "" },
+              }
+            : {
+                $set: {
+                  status,
+                  statusReason: reason || null,
+                  statusChangedAt: new Date(),
+                },
+              };
+        if (suspendedUntil) {
+          updateDoc.$set.suspendedUntil = suspendedUntil;
+        } else if (status === "blocked") {
+          // Blocking has no end date
+          updateDoc.$unset = { suspendedUntil: "" };
+        }
+        const result = await userCollection.updateOne(query, updateDoc);
+
+        // Free the donations, cases and requests a restricted user holds
+        const changedRequests =
+          status === "active"
+            ? null
+            : await accountRestrictions.releaseHeldRequests(user, {
+                status,
+                actorEmail: req.firebaseUser.email,
+              });
+
+        await recordAudit(req, {
+          action: "user.status.update",
+          targetType: "user",
+          targetId: id,
+          before: {
+            status: user.status,
+            suspendedUntil: user.suspendedUntil || null,
+          },
+          after: { status, suspendedUntil, reason: reason || null },
+        });
+        res.send({ ...result, changedRequests });
+      } catch (error) {
+        console.error("Error updating user status:", error);
+        res.status(500).send({ message: "Failed to update user status." });
+      }
+    }
+  );
+
+  // PATCH to update a user's role
+  router.patch(
+    "/update-users/role/:id",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        const { role } = req.body;
+        if (!role || !["donor", "volunteer", "admin"].includes(role)) {
+          return res.status(400).send({ message: "Invalid role provided." });
+        }
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).send({ message: "Invalid ID format." });
+        }
+        const query = { _id: new ObjectId(id) };
+        const user = await userCollection.findOne(query);
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+        const updateDoc = { $set: { role: role } };
+        const result = await userCollection.updateOne(query, updateDoc);
+        await recordAudit(req, {
+          action: "user.role.update",
+          targetType: "user",
+          targetId: id,
+          before: { role: user.role },
+          after: { role },
+        });
+
+        // Role checks read the custom claim, so it has to follow the
+        // stored role; sending the same role again retries the sync
+        let claims;
+        try {
+          claims = await roles.syncRole(user, role, user.role);
+        } catch (error) {
+          console.error("Error syncing role claim:", error);
+          return res.status(502).send({
+            message:
+              "Role saved, but signed-in sessions could not be updated. Please try again.",
+            result,
+          });
+        }
+        res.send({ ...result, claims });
+      } catch (error) {
+        console.error("Error updating user role:", error);
+        res.status(500).send({ message: "Failed to update user role." });
+      }
+    }
+  );
+
+  // GET each volunteer's and admin's share of assigned donation requests:
+  // open (pending or inprogress) cases, counts by status and follow-ups
+  router.get(
+    "/volunteers/workload",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const [staff, counts] = await Promise.all([
+          userCollection
+            .find(
+              { role: { $in: ["volunteer", "admin"] } },
+              { projection: { name: 1, email: 1, role: 1, status: 1 } }
+            )
+            .toArray(),
+          donationRequestCollection
+            .aggregate([
+              { $match: { "assignedTo.email": { $type: "string" } } },
+              {
+                $group: {
+                  _id: { email: "$assignedTo.email", status: "$status" },
+                  count: { $sum: 1 },
+                  needsFollowUp: {
+                    $sum: {
+                      $cond: [{ $eq: ["$needsFollowUp", true] }, 1, 0],
+                    },
+                  },
+                },
+              },
+            ])
+            .toArray(),
+        ]);
+
+        const workload = new Map(
+          staff.map((user) => [
+            user.email,
+            {
+              email: user.email,
+              name: user.name,
+              role: user.role,
+              status: user.status,
+              open: 0,
+              needsFollowUp: 0,
+              byStatus: {},
+            },
+          ])
+        );
+        counts.forEach(({ _id, count, needsFollowUp }) => {
+          // Requests can outlive their assignee's staff role
+          if (!workload.has(_id.email)) {
+            workload.set(_id.email, {
+              email: _id.email,
+              name: null,
+              role: null,
+              status: null,
+              open: 0,
+              needsFollowUp: 0,
+              byStatus: {},
+            });
+          }
+          const entry = workload.get(_id.email);
+          entry.byStatus[_id.status] = count;
+          entry.needsFollowUp += needsFollowUp;
+          if (OPEN_STATUSES.includes(_id.status)) {
+            entry.open += count;
+          }
+        });
+
+        res.send(
+          [...workload.values()].sort(
+            (a, b) => b.open - a.open || a.email.localeCompare(b.email)
+          )
+        );
+      } catch (error) {
+        console.error("Error fetching volunteer workload:", error);
+        res.status(500).send({ message: "Failed to fetch workload." });
+      }
+    }
+  );
+
+  // POST to get a token for any email in local auth mode, when login is
+  // enabled (LOCAL_AUTH_LOGIN_ENABLED=true, development and tests only); use
+  // it as the Bearer token, then call /add-user as usual
+  if (auth.name === "local" && auth.loginEnabled) {
+    router.post("/auth/local/login", async (req, res) => {
+      const email = req.body?.email;
+      const name = req.body?.name;
+      if (typeof email !== "string" || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+        return res.status(400).send({ message: "A valid email is required." });
+      }
+      if (name !== undefined && typeof name !== "string") {
+        return res.status(400).send({ message: "Name must be a string." });
+      }
+      res.send(await auth.signIn({ email: email.trim().toLowerCase(), name }));
+    });
+  }
+
+  // POST to provision the logged-in user's account, or record a login.
+  // The uid and email come from the verified token; new accounts are
+  // donors. Only the profile fields in userProfileSchema are accepted.
+  router.post(
+    "/add-user",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    async (req, res) => {
+      const { uid, email } = req.firebaseUser;
+      if (!email) {
+        return res
+          .status(400)
+          .json({ message: "Your sign-in account has no email address." });
+      }
+
+      const { value: profile, errors } = validateUserProfile(req.body);
+      if (errors.length > 0) {
+        return res.status(400).send(validationErrorResponse(errors));
+      }
+
+      // Existing accounts only refresh their name and photo on login
+      const recordLogin = (user) => {
+        const dataToUpdate = { uid, email, lastLoginAt: new Date() };
+        if (profile.name) dataToUpdate.name = profile.name;
+        if (profile.photoURL) dataToUpdate.photoURL = profile.photoURL;
+        return userCollection.updateOne(
+          { _id: user._id },
+          { $set: dataToUpdate, $inc: { loginCount: 1 } }
+        );
+      };
+
+      try {
+        const existing = req.account.user;
+        if (existing) {
+          await recordLogin(existing);
+          return res.send({ msg: "User already exists and was updated." });
+        }
+
+        const newUser = {
+          name: req.firebaseUser.name || "",
+          photoURL: req.firebaseUser.picture || "",
+          ...profile,
+          phoneNumber: profile.phoneNumber || "",
+          uid,
+          email,
+          role: "donor",
+          status: "active",
+          loginCount: 1,
+          createdAt: new Date(),
+          lastLoginAt: new Date(),
+        };
+        try {
+          const result = await userCollection.insertOne(newUser);
+          res.send(result);
+        } catch (error) {
+          // A parallel request from the same login created it first
+          if (error.code !== 11000) throw error;
+          await recordLogin(await findUserByToken(req.firebaseUser));
+          res.send({ msg: "User already exists and was updated." });
+        }
+      } catch (error) {
+        console.error("ERROR in /add-user endpoint:", error);
+        res.status(500).json({
+          message: "An error occurred on the server while processing the user.",
+        });
+      }
+    }
+  );
+
+  router.get(
+    "/get-user-role",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    async (req, res) => {
+      const { user, status, suspendedUntil, reason } = req.account;
+      if (!user) {
+        return res.status(404).send({ message: "User not found" });
+      }
+      res.send({
+        msg: "ok",
+        role: user.role,
+        status,
+        suspendedUntil,
+        reason,
+      });
+    }
+  );
+
+  // Whether `email` names the signed-in user's own account. The account is
+  // found by uid, so both the token's email and the stored one (which can
+  // lag behind a sign-in email change until the next /add-user) count.
+  const isOwnEmail = (req, email) =>
+    email === req.firebaseUser.email ||
+    (!!req.account.user && email === req.account.user.email);
+
+  // GET a single user's full profile by email. Admins and volunteers may
+  // view any profile and also get a `withdrawalSummary`.
+  router.get(
+    "/users/:email",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    resolveRole,
+    async (req, res) => {
+      // Ensure a user can only request their own data, unless they are staff
+      const requestedEmail = req.params.email;
+      const requester = req.account.user;
+      const isStaff = req.role === "admin" || req.role === "volunteer";
+      const isOwn = isOwnEmail(req, requestedEmail);
+      if (!isOwn && !isStaff) {
+        return res.status(403).send({
+          message: "Forbidden: You can only access your own profile.",
+        });
+      }
+
+      const user = isOwn
+        ? requester
+        : await userCollection.findOne({ email: requestedEmail });
+      if (!user) {
+        return res.status(404).send({ message: "User not found" });
+      }
+      if (isStaff) {
+        return res.send({
+          ...user,
+          withdrawalSummary: getWithdrawalSummary(user),
+        });
+      }
+      res.send(user);
+    }
+  );
+
+  // GET the current donor's eligibility to donate again
+  router.get(
+    "/donors/eligibility",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    async (req, res) => {
+      try {
+        const { user } = req.account;
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+        res.send(getEligibility(user));
+      } catch (error) {
+        console.error("Error fetching donor eligibility:", error);
+        res.status(500).send({ message: "Failed to fetch eligibility." });
+      }
+    }
+  );
+
+  // GET the current donor's availability settings
+  router.get(
+    "/donors/availability",
+    verifyFirebaseToken,
+    verifyAccountStatus("ownAccount"),
+    async (req, res) => {
+      try {
+        const { user } = req.account;
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+        res.send(getAvailability(user));
+      } catch (error) {
+        console.error("Error fetching donor availability:", error);
+        res.status(500).send({ message: "Failed to fetch availability." });
+      }
+    }
+  );
+
+  // PATCH the current donor's availability: the `available` toggle,
+  // dated `unavailablePeriods` (replaces the list) and `contactHours`
+  router.patch(
+    "/donors/availability",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    async (req, res) => {
+      try {
+        if (!req.account.user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+        const { value, errors } = validateAvailability(req.body);
+        if (errors.length > 0) {
+          return res.status(400).send(validationErrorResponse(errors));
+        }
+        if (Object.keys(value).length === 0) {
+          return res.status(400).send({ message: "No fields to update." });
+        }
+
+        const $set = { "availability.updatedAt": new Date() };
+        const $unset = {};
+        Object.entries(value).forEach(([field, fieldValue]) => {
+          if (fieldValue === null) {
+            $unset[`availability.${field}`] = "";
+          } else {
+            $set[`availability.${field}`] = fieldValue;
+          }
+        });
+
+        const user = await userCollection.findOneAndUpdate(
+          { _id: req.account.user._id },
+          Object.keys($unset).length > 0 ? { $set, $unset } : { $set },
+          { returnDocument: "after", projection: { availability: 1 } }
+        );
+        if (!user) {
+          return res.status(404).send({ message: "User not found" });
+        }
+        res.send(getAvailability(user));
+      } catch (error) {
+        console.error("Error updating donor availability:", error);
+        res.status(500).send({ message: "Failed to update availability." });
+      }
+    }
+  );
+
+  // PATCH (update) the signed-in user's profile. The body holds the
+  // fields in userProfileSchema, plus optional `lat`/`lng`.
+  router.patch(
+    "/users/:email",
+    verifyFirebaseToken,
+    verifyAccountStatus("active"),
+    async (req, res) => {
+      const account = req.account.user;
+      if (!isOwnEmail(req, req.params.email)) {
+        return res.status(403).send({
+          message: "Forbidden: You can only update your own profile.",
+        });
+      }
+      if (!account) {
+        return res.status(404).send({ message: "User not found" });
+      }
+
+      const { lat, lng, ...profileData } = req.body || {};
+      const { value: profile, errors } = validateUserProfile(profileData);
+      if (errors.length > 0) {
+        return res.status(400).send(validationErrorResponse(errors));
+      }
+
+      // Optional `lat`/`lng` for radius searches; send both as null to clear
+      const coordinates = parseCoordinates({ lat, lng });
+      if (coordinates.errors.length > 0) {
+        return res
+          .status(400)
+          .send(validationErrorResponse(coordinates.errors));
+      }
+
+      // Every profile field is replaced; one left out is cleared
+      const updatedData = {
+        name: profile.name,
+        photoURL: profile.photoURL,
+        bloodGroup: profile.bloodGroup,
+        district: profile.district,
+        districtId: profile.districtId,
+        upazila: profile.upazila,
+        upazilaId: profile.upazilaId,
+        phoneNumber: profile.phoneNumber,
+      };
+      const update = { $set: updatedData };
+      if (coordinates.point) {
+        updatedData.location = coordinates.point;
+      } else if (coordinates.point === null) {
+        update.$unset = { location: "" };
+      }
+
+      const result = await userCollection.updateOne(
+        { _id: account._id },
+        update
+      );
+
+      res.send(result);
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createUsersRouter };
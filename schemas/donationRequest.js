@@ -0,0 +1,206 @@
+// schemas/donationRequest.js
+
+const { BLOOD_GROUPS } = require("../utils/bloodCompatibility");
+const { validate } = require("../utils/validate");
+const { resolveLocation } = require("../utils/locations");
+const { URGENCY_LEVELS, URGENCY_RANK } = require("../utils/urgency");
+const { toPoint } = require("../utils/geo");
+
+// Donation dates and times are entered in Bangladesh local time
+const DONATION_TIMEZONE_OFFSET =
+  process.env.DONATION_TIMEZONE_OFFSET || "+06:00";
+
+const toDonationDateTime = (donationDate, donationTime) =>
+  new Date(`${donationDate}T${donationTime}:00${DONATION_TIMEZONE_OFFSET}`);
+
+// The local "YYYY-MM-DD" and "HH:mm" for an instant, comparable with the
+// stored donationDate and donationTime strings
+const toDonationDateParts = (instant) => {
+  const [, sign, hours, minutes] = DONATION_TIMEZONE_OFFSET.match(
+    /^([+-])(\d{2}):(\d{2})$/
+  );
+  const offsetMs =
+    (sign === "-" ? -1 : 1) *
+    (parseInt(hours) * 60 + parseInt(minutes)) *
+    60000;
+  const local = new Date(instant.getTime() + offsetMs).toISOString();
+  return { date: local.slice(0, 10), time: local.slice(11, 16) };
+};
+
+// Fields a client may send when creating or editing a donation request.
+const donationRequestSchema = {
+  // Always set by the server; ignored if a client sends them
+  serverFields: [
+    "_id",
+    "requesterUid",
+    "requesterEmail",
+    "requesterName",
+    "status",
+    "statusHistory",
+    "createdAt",
+    "donorName",
+    "donorUid",
+    "donorEmail",
+    "recipientDistrictId",
+    "recipientUpazilaId",
+    "urgencyRank",
+    "location",
+    "assignedTo",
+    "assignmentHistory",
+    "internalNotes",
+    "needsFollowUp",
+    "followUpFlaggedAt",
+  ],
+  fields: {
+    recipientName: {
+      type: "string",
+      label: "Recipient name",
+      required: true,
+      maxLength: 100,
+    },
+    bloodGroup: {
+      type: "string",
+      label: "Blood group",
+      required: true,
+      enum: BLOOD_GROUPS,
+    },
+    recipientDistrict: {
+      type: "string",
+      label: "District",
+      required: true,
+      maxLength: 60,
+    },
+    recipientUpazila: {
+      type: "string",
+      label: "Upazila",
+      required: true,
+      maxLength: 60,
+    },
+    hospitalName: {
+      type: "string",
+      label: "Hospital name",
+      required: true,
+      maxLength: 150,
+    },
+    fullAddress: {
+      type: "string",
+      label: "Full address",
+      required: true,
+      maxLength: 300,
+    },
+    donationDate: {
+      type: "date",
+      label: "Donation date",
+      required: true,
+    },
+    donationTime: {
+      type: "time",
+      label: "Donation time",
+      required: true,
+    },
+    urgency: {
+      type: "string",
+      label: "Urgency",
+      enum: URGENCY_LEVELS,
+    },
+    requestMessage: {
+      type: "string",
+      label: "Request message",
+      maxLength: 1000,
+    },
+    // Optional hospital coordinates, stored as a GeoJSON `location`
+    lat: { type: "number", label: "Latitude", min: -90, max: 90 },
+    lng: { type: "number", label: "Longitude", min: -180, max: 180 },
+  },
+
+  validate: (value, { existing } = {}) => {
+    if (value.urgency) {
+      // Stored alongside the label so lists can sort by urgency
+      value.urgencyRank = URGENCY_RANK[value.urgency];
+    }
+    return [
+      ...validateDonationSchedule(value, existing),
+      ...normalizeRecipientLocation(value, existing),
+      ...normalizeCoordinates(value),
+    ];
+  },
+};
+
+// The donation must be scheduled in the future. On edits this is only
+// checked when the date or time changes, using the stored value for the
+// other half.
+const validateDonationSchedule = (value, existing) => {
+  if (!value.donationDate && !value.donationTime) return [];
+
+  const donationDate = value.donationDate || existing?.donationDate;
+  const donationTime = value.donationTime || existing?.donationTime;
+  if (!donationDate || !donationTime) return [];
+
+  if (toDonationDateTime(donationDate, donationTime) <= new Date()) {
+    return [
+      {
+        field: value.donationDate ? "donationDate" : "donationTime",
+        message: "Donation date and time must be in the future.",
+      },
+    ];
+  }
+  return [];
+};
+
+// Checks the district/upazila against the gazetteer and replaces them with
+// the canonical names plus their IDs. An edit that changes only one of the
+// pair is checked against the stored value of the other.
+const normalizeRecipientLocation = (value, existing) => {
+  if (!value.recipientDistrict && !value.recipientUpazila) return [];
+
+  const { district, upazila, errors } = resolveLocation(
+    {
+      district: value.recipientDistrict || existing?.recipientDistrict,
+      upazila: value.recipientUpazila || existing?.recipientUpazila,
+    },
+    { district: "recipientDistrict", upazila: "recipientUpazila" }
+  );
+  if (errors.length > 0) return errors;
+  if (!district || !upazila) {
+    return [
+      {
+        field: district ? "recipientUpazila" : "recipientDistrict",
+        message: "Both district and upazila are required.",
+      },
+    ];
+  }
+
+  value.recipientDistrict = district.name;
+  value.recipientDistrictId = district.id;
+  value.recipientUpazila = upazila.name;
+  value.recipientUpazilaId = upazila.id;
+  return [];
+};
+
+// Replaces lat/lng with a GeoJSON point. Both must be sent together.
+const normalizeCoordinates = (value) => {
+  if (value.lat === undefined && value.lng === undefined) return [];
+  if (value.lat === undefined || value.lng === undefined) {
+    return [
+      {
+        field: value.lat === undefined ? "lat" : "lng",
+        message: "Latitude and longitude must be sent together.",
+      },
+    ];
+  }
+
+  value.location = toPoint(value.lat, value.lng);
+  delete value.lat;
+  delete value.lng;
+  return [];
+};
+
+const validateDonationRequest = (data, options) =>
+  validate(donationRequestSchema, data, options);
+
+module.exports = {
+  donationRequestSchema,
+  validateDonationRequest,
+  toDonationDateTime,
+  toDonationDateParts,
+};
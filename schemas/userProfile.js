@@ -0,0 +1,59 @@
+// schemas/userProfile.js
+
+const { BLOOD_GROUPS } = require("../utils/bloodCompatibility");
+const { validate } = require("../utils/validate");
+const { resolveLocation } = require("../utils/locations");
+
+// Profile fields a user may send when their account is provisioned.
+// Identity, role and status always come from the server.
+const userProfileSchema = {
+  // Ignored if a client sends them
+  serverFields: [
+    "_id",
+    "uid",
+    "email",
+    "role",
+    "status",
+    "loginCount",
+    "createdAt",
+    "lastLoginAt",
+    "districtId",
+    "upazilaId",
+  ],
+  fields: {
+    name: { type: "string", label: "Name", maxLength: 100 },
+    photoURL: {
+      type: "string",
+      label: "Photo URL",
+      maxLength: 1000,
+      pattern: /^https?:\/\//,
+    },
+    bloodGroup: { type: "string", label: "Blood group", enum: BLOOD_GROUPS },
+    district: { type: "string", label: "District", maxLength: 60 },
+    upazila: { type: "string", label: "Upazila", maxLength: 60 },
+    phoneNumber: {
+      type: "string",
+      label: "Phone number",
+      maxLength: 20,
+      pattern: /^\+?[0-9 -]{6,20}$/,
+    },
+  },
+
+  // District and upazila are stored with their canonical names and IDs
+  validate: (value) => {
+    if (!value.district && !value.upazila) return [];
+    const { district, upazila, errors } = resolveLocation(value);
+    if (errors.length > 0) return errors;
+    value.district = district.name;
+    value.districtId = district.id;
+    if (upazila) {
+      value.upazila = upazila.name;
+      value.upazilaId = upazila.id;
+    }
+    return [];
+  },
+};
+
+const validateUserProfile = (data) => validate(userProfileSchema, data || {});
+
+module.exports = { userProfileSchema, validateUserProfile };
@@ -0,0 +1,132 @@
+// One-time migration: stores the Firebase uid on user documents created
+// before accounts were keyed by uid, looking each one up by email. Then
+// copies each user's uid onto the donation requests, contact requests and
+// notifications saved under their email, so those stay linked to the
+// account after a sign-in email change.
+//
+// Usage:
+//   node scripts/backfill-user-uids.js [--dry-run]
+//
+// Needs ./admin-key.json like the server. Documents that already have a uid
+// are skipped, so the script is safe to run again. Emails with no Firebase
+// account, or whose uid is already on another document, are listed for
+// manual review.
+
+const { MongoClient, ServerApiVersion } = require("mongodb");
+const admin = require("firebase-admin");
+const dotenv = require("dotenv");
+dotenv.config();
+
+const serviceAccount = require("../admin-key.json");
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+const dryRun = process.argv.includes("--dry-run");
+
+// getUsers() accepts at most 100 identifiers per call
+const BATCH_SIZE = 100;
+
+// Collection, uid field and email field of every record tied to a user
+const LINKED_FIELDS = [
+  ["donationRequests", "requesterUid", "requesterEmail"],
+  ["donationRequests", "donorUid", "donorEmail"],
+  ["donationRequests", "assignedTo.uid", "assignedTo.email"],
+  ["contactRequests", "requesterUid", "requesterEmail"],
+  ["notifications", "recipientUid", "recipientEmail"],
+];
+
+const client = new MongoClient(process.env.MONGODB_URI, {
+  serverApi: {
+    version: ServerApiVersion.v1,
+    strict: true,
+    deprecationErrors: true,
+  },
+});
+
+async function run() {
+  try {
+    const users = client.db("bloodDB").collection("users");
+    const pending = await users
+      .find(
+        { uid: { $exists: false }, email: { $type: "string" } },
+        { projection: { email: 1 } }
+      )
+      .toArray();
+
+    const stats = { updated: 0, notFound: [], conflicts: [] };
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = pending.slice(i, i + BATCH_SIZE);
+      const { users: accounts, notFound } = await admin
+        .auth()
+        .getUsers(batch.map(({ email }) => ({ email })));
+      stats.notFound.push(...notFound.map(({ email }) => email));
+
+      const uidByEmail = new Map(
+        accounts.map((account) => [account.email.toLowerCase(), account.uid])
+      );
+
+      for (const doc of batch) {
+        const uid = uidByEmail.get(doc.email.toLowerCase());
+        if (!uid) continue;
+        if (dryRun) {
+          stats.updated++;
+          continue;
+        }
+        try {
+          await users.updateOne(
+            { _id: doc._id, uid: { $exists: false } },
+            { $set: { uid } }
+          );
+          stats.updated++;
+        } catch (error) {
+          // Another document already has this uid (a duplicate account)
+          if (error.code !== 11000) throw error;
+          stats.conflicts.push(doc.email);
+        }
+      }
+    }
+
+    console.log(
+      `users: ${pending.length} without uid, ${stats.updated} ${
+        dryRun ? "would be updated" : "updated"
+      }, ${stats.notFound.length} without a Firebase account, ${
+        stats.conflicts.length
+      } duplicates`
+    );
+    stats.notFound.forEach((email) => console.log(`  not found: ${email}`));
+    stats.conflicts.forEach((email) => console.log(`  duplicate: ${email}`));
+
+    const db = client.db("bloodDB");
+    const keyed = await users
+      .find({ uid: { $type: "string" } }, { projection: { uid: 1, email: 1 } })
+      .toArray();
+    for (const [collection, uidField, emailField] of LINKED_FIELDS) {
+      let linked = 0;
+      for (const { uid, email } of keyed) {
+        const filter = { [emailField]: email, [uidField]: { $exists: false } };
+        linked += dryRun
+          ? await db.collection(collection).countDocuments(filter)
+          : (
+              await db
+                .collection(collection)
+                .updateMany(filter, { $set: { [uidField]: uid } })
+            ).modifiedCount;
+      }
+      console.log(
+        `${collection}.${uidField}: ${linked} ${
+          dryRun ? "would be linked" : "linked"
+        }`
+      );
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+run().catch((error) => {
+  console.error("uid backfill failed:", error);
+  process.exitCode = 1;
+});
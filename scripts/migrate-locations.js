@@ -0,0 +1,109 @@
+// One-time migration: maps the free-text district/upazila values already
+// stored on users and donation requests onto canonical gazetteer entries.
+//
+// Usage:
+//   node scripts/migrate-locations.js [--dry-run]
+//
+// Documents that already have IDs are skipped, so the script is safe to run
+// again. Values that cannot be matched are listed for manual review.
+
+const { MongoClient, ServerApiVersion } = require("mongodb");
+const dotenv = require("dotenv");
+dotenv.config();
+
+const { resolveLocation } = require("../utils/locations");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const client = new MongoClient(process.env.MONGODB_URI, {
+  serverApi: {
+    version: ServerApiVersion.v1,
+    strict: true,
+    deprecationErrors: true,
+  },
+});
+
+const migrateCollection = async (collection, fields) => {
+  const stats = { matched: 0, updated: 0, unmatched: [] };
+
+  const cursor = collection.find({
+    [fields.district]: { $exists: true, $nin: [null, ""] },
+    [fields.districtId]: { $exists: false },
+  });
+
+  for await (const doc of cursor) {
+    stats.matched++;
+    const { district, upazila, errors } = resolveLocation({
+      district: doc[fields.district],
+      upazila: doc[fields.upazila],
+    });
+
+    if (errors.length > 0 || !district) {
+      stats.unmatched.push({
+        _id: doc._id,
+        district: doc[fields.district],
+        upazila: doc[fields.upazila],
+      });
+      continue;
+    }
+
+    const updateDoc = {
+      [fields.district]: district.name,
+      [fields.districtId]: district.id,
+    };
+    if (upazila) {
+      updateDoc[fields.upazila] = upazila.name;
+      updateDoc[fields.upazilaId] = upazila.id;
+    }
+
+    if (!dryRun) {
+      await collection.updateOne({ _id: doc._id }, { $set: updateDoc });
+    }
+    stats.updated++;
+  }
+
+  return stats;
+};
+
+const report = (name, stats) => {
+  console.log(
+    `${name}: ${stats.matched} to migrate, ${stats.updated} ${
+      dryRun ? "would be updated" : "updated"
+    }, ${stats.unmatched.length} unmatched`
+  );
+  stats.unmatched.forEach((doc) =>
+    console.log(`  ${doc._id}: "${doc.district}" / "${doc.upazila}"`)
+  );
+};
+
+async function run() {
+  try {
+    const db = client.db("bloodDB");
+
+    const userStats = await migrateCollection(db.collection("users"), {
+      district: "district",
+      districtId: "districtId",
+      upazila: "upazila",
+      upazilaId: "upazilaId",
+    });
+    report("users", userStats);
+
+    const requestStats = await migrateCollection(
+      db.collection("donationRequests"),
+      {
+        district: "recipientDistrict",
+        districtId: "recipientDistrictId",
+        upazila: "recipientUpazila",
+        upazilaId: "recipientUpazilaId",
+      }
+    );
+    report("donationRequests", requestStats);
+  } finally {
+    await client.close();
+  }
+}
+
+run().catch((error) => {
+  console.error("Location migration failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,62 @@
+// Renders an email template with sample data and sends it through the
+// configured transport, to check templates and SMTP settings end to end.
+//
+// Usage:
+//   node scripts/send-test-email.js <to> [templateName]
+//
+// With SMTP_HOST=localhost and SMTP_PORT=1025 this delivers to a local
+// catcher such as MailHog or smtp4dev; without SMTP_HOST it prints the email.
+
+const dotenv = require("dotenv");
+dotenv.config();
+
+const { renderTemplate, templates } = require("../services/email/templates");
+const { createTransportFromEnv } = require("../services/email/transports");
+
+const [to, templateName = "donationConfirmedDonor"] = process.argv.slice(2);
+
+if (!to || !templates[templateName]) {
+  console.error(
+    `Usage: node scripts/send-test-email.js <to> [${Object.keys(templates).join(
+      "|"
+    )}]`
+  );
+  process.exit(1);
+}
+
+const request = {
+  recipientName: "Test Recipient",
+  bloodGroup: "O+",
+  recipientDistrict: "Dhaka",
+  recipientUpazila: "Savar",
+  hospitalName: "Enam Medical College Hospital",
+  fullAddress: "Thana Road, Savar",
+  donationDate: "2030-01-01",
+  donationTime: "10:30",
+  requesterName: "Test Requester",
+  requesterEmail: "requester@example.com",
+};
+
+const transport = createTransportFromEnv();
+const message = renderTemplate(templateName, {
+  request,
+  name: "Test User",
+  donorName: "Test Donor",
+  donorEmail: "donor@example.com",
+  reason: "Test reason",
+});
+
+transport
+  .send({
+    from:
+      process.env.EMAIL_FROM || "BloodConnect <no-reply@bloodconnect.local>",
+    to,
+    ...message,
+  })
+  .then(({ messageId }) =>
+    console.log(`Sent ${templateName} via ${transport.name}: ${messageId}`)
+  )
+  .catch((error) => {
+    console.error("Failed to send test email:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+// Sends a locally signed Stripe event to the webhook endpoint so the funding
+// flow can be exercised offline, without the Stripe CLI or a live account.
+//
+// Usage:
+//   node scripts/send-test-webhook.js <eventType> <paymentIntentId> [amountInCents] [eventId]
+//
+// Example:
+//   node scripts/send-test-webhook.js payment_intent.succeeded pi_123 2500
+
+const dotenv = require("dotenv");
+dotenv.config();
+
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY || "sk_test");
+
+const [
+  type = "payment_intent.succeeded",
+  paymentIntentId,
+  amount = "1000",
+  eventId = `evt_local_${Date.now()}`,
+] = process.argv.slice(2);
+
+if (!paymentIntentId) {
+  console.error(
+    "Usage: node scripts/send-test-webhook.js <eventType> <paymentIntentId> [amountInCents] [eventId]"
+  );
+  process.exit(1);
+}
+
+if (!process.env.STRIPE_WEBHOOK_SECRET) {
+  console.error("STRIPE_WEBHOOK_SECRET must be set to sign the test event.");
+  process.exit(1);
+}
+
+const url =
+  process.env.WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 3000}/stripe/webhook`;
+
+const intent = {
+  id: paymentIntentId,
+  object: "payment_intent",
+  amount: Number(amount),
+  amount_received: type === "payment_intent.succeeded" ? Number(amount) : 0,
+  currency: "usd",
+  created: Math.floor(Date.now() / 1000),
+  status: {
+    "payment_intent.succeeded": "succeeded",
+    "payment_intent.payment_failed": "requires_payment_method",
+    "payment_intent.canceled": "canceled",
+  }[type],
+  last_payment_error:
+    type === "payment_intent.payment_failed"
+      ? { message: "Your card was declined." }
+      : null,
+  cancellation_reason:
+    type === "payment_intent.canceled" ? "requested_by_customer" : null,
+};
+
+const payload = JSON.stringify({
+  id: eventId,
+  object: "event",
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object: intent },
+});
+
+const signature = stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+fetch(url, {
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json",
+    "Stripe-Signature": signature,
+  },
+  body: payload,
+})
+  .then(async (response) => {
+    console.log(`${response.status} ${await response.text()}`);
+  })
+  .catch((error) => {
+    console.error("Failed to send test webhook:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,173 @@
+// services/accountRestrictions.js
+
+const {
+  OPEN_STATUSES,
+  buildStatusHistoryEntry,
+} = require("../utils/donationStatus");
+const { ownerFilter } = require("../utils/ownership");
+
+/**
+ * Frees what a user holds when an admin blocks or suspends them:
+ *
+ * - requests they confirmed as donor go back to `pending` for other donors;
+ * - requests assigned to them as a volunteer are unassigned;
+ * - when blocked (not merely suspended), their own open requests are
+ *   canceled, since nobody can follow them up, and their donated or
+ *   disputed requests, which they can no longer confirm, are flagged with
+ *   `needsFollowUp` for staff to settle.
+ *
+ * Every change is conditional on the current state and recorded in the
+ * request history under the admin who made the change.
+ */
+const createAccountRestrictionService = ({
+  donationRequestCollection,
+  notifications,
+  donationEmails,
+  onRequestChanged = () => {},
+}) => {
+  const changeStatus = async (request, to, { actorEmail, reason }, extra) => {
+    const update = {
+      $set: { status: to },
+      $unset: { needsFollowUp: "", followUpFlaggedAt: "", ...extra?.$unset },
+      $push: {
+        statusHistory: buildStatusHistoryEntry({
+          from: request.status,
+          to,
+          actorEmail,
+          actorRole: "admin",
+          reason,
+        }),
+      },
+    };
+    const result = await donationRequestCollection.updateOne(
+      { _id: request._id, status: request.status },
+      update
+    );
+    return result.modifiedCount === 1;
+  };
+
+  const releaseDonations = async (user, context) => {
+    const released = [];
+    const held = await donationRequestCollection
+      .find({ ...ownerFilter("donor", user), status: "inprogress" })
+      .toArray();
+
+    for (const request of held) {
+      const changed = await changeStatus(request, "pending", context, {
+        $unset: { donorName: "", donorUid: "", donorEmail: "" },
+      });
+      if (!changed) continue;
+      released.push(request._id);
+      await donationEmails.onStatusChanged(request, "pending", {
+        reason: context.reason,
+      });
+      await notifications.notifyDonorWithdrew(request, context.reason);
+      await onRequestChanged(request._id);
+    }
+    return released;
+  };
+
+  const cancelOwnRequests = async (user, context) => {
+    const canceled = [];
+    const open = await donationRequestCollection
+      .find({
+        ...ownerFilter("requester", user),
+        status: { $in: ["pending", "inprogress"] },
+      })
+      .toArray();
+
+    for (const request of open) {
+      const changed = await changeStatus(request, "canceled", context);
+      if (!changed) continue;
+      canceled.push(request._id);
+      await donationEmails.onStatusChanged(request, "canceled", {
+        reason: context.reason,
+      });
+      await onRequestChanged(request._id);
+    }
+    return canceled;
+  };
+
+  const flagForFollowUp = async (user) => {
+    const flagged = [];
+    const awaiting = await donationRequestCollection
+      .find(
+        {
+          ...ownerFilter("requester", user),
+          status: { $in: ["donated", "disputed"] },
+          needsFollowUp: { $ne: true },
+        },
+        { projection: { _id: 1, status: 1 } }
+      )
+      .toArray();
+
+    for (const { _id, status } of awaiting) {
+      const result = await donationRequestCollection.updateOne(
+        { _id, status, needsFollowUp: { $ne: true } },
+        { $set: { needsFollowUp: true, followUpFlaggedAt: new Date() } }
+      );
+      if (result.modifiedCount === 1) {
+        flagged.push(_id);
+        await onRequestChanged(_id);
+      }
+    }
+    return flagged;
+  };
+
+  const unassignCases = async (user, { actorEmail, reason }) => {
+    const assigned = await donationRequestCollection
+      .find(
+        { ...ownerFilter("assignee", user), status: { $in: OPEN_STATUSES } },
+        { projection: { _id: 1 } }
+      )
+      .toArray();
+
+    const unassigned = [];
+    for (const { _id } of assigned) {
+      const result = await donationRequestCollection.updateOne(
+        { _id, ...ownerFilter("assignee", user) },
+        {
+          $unset: { assignedTo: "" },
+          $push: {
+            assignmentHistory: {
+              from: user.email,
+              to: null,
+              byEmail: actorEmail,
+              note: reason,
+              at: new Date(),
+            },
+          },
+        }
+      );
+      if (result.modifiedCount === 1) {
+        unassigned.push(_id);
+        await onRequestChanged(_id);
+      }
+    }
+    return unassigned;
+  };
+
+  // `status` is the user's new status, `actorEmail` the admin changing it.
+  // Returns the IDs of the requests that were changed.
+  const releaseHeldRequests = async (user, { status, actorEmail }) => {
+    const context = {
+      actorEmail,
+      reason:
+        status === "blocked"
+          ? "The user's account was blocked."
+          : "The user's account was suspended.",
+    };
+
+    return {
+      released: await releaseDonations(user, context),
+      unassigned: await unassignCases(user, context),
+      canceled:
+        status === "blocked" ? await cancelOwnRequests(user, context) : [],
+      flagged: status === "blocked" ? await flagForFollowUp(user) : [],
+    };
+  };
+
+  return { releaseHeldRequests };
+};
+
+module.exports = { createAccountRestrictionService };
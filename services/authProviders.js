@@ -0,0 +1,141 @@
+// services/authProviders.js
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+// An auth provider is any object with a `name` and these async methods:
+//
+//   verifyToken(token)              -> decoded claims with `uid` and `email`
+//   getUser(uid)                    -> { uid, customClaims, tokensValidAfterTime }
+//   setCustomUserClaims(uid, claims)
+//   revokeRefreshTokens(uid)
+//
+// which is the subset of firebase-admin's Auth API the server uses.
+
+const FIREBASE_KEY_PATH = path.join(__dirname, "..", "admin-key.json");
+
+const createFirebaseAuthProvider = ({ serviceAccount }) => {
+  const admin = require("firebase-admin");
+  const app = admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+  });
+  const auth = admin.auth(app);
+
+  return {
+    name: "firebase",
+    verifyToken: (token) => auth.verifyIdToken(token),
+    getUser: (uid) => auth.getUser(uid),
+    setCustomUserClaims: (uid, claims) => auth.setCustomUserClaims(uid, claims),
+    revokeRefreshTokens: (uid) => auth.revokeRefreshTokens(uid),
+  };
+};
+
+const LOCAL_ISSUER = "bloodconnect-local";
+
+// Stable across restarts, so users keep their documents between runs
+const localUid = (email) =>
+  `local-${crypto
+    .createHash("sha256")
+    .update(email)
+    .digest("hex")
+    .slice(0, 24)}`;
+
+/**
+ * Signs and verifies HS256 JWTs with `secret` instead of calling Firebase,
+ * for development and tests. `signIn({ email, name })` issues a token for
+ * any email without a password; `loginEnabled` says whether the API exposes
+ * it as POST /auth/local/login. Custom claims and revocations are kept in
+ * memory, so they last until the process restarts.
+ */
+const createLocalAuthProvider = ({
+  secret,
+  expiresInSeconds = 60 * 60,
+  loginEnabled = false,
+}) => {
+  const accounts = new Map();
+
+  const getAccount = (uid) => {
+    if (!accounts.has(uid)) {
+      accounts.set(uid, { customClaims: {}, tokensValidAfterTime: null });
+    }
+    return accounts.get(uid);
+  };
+
+  const signIn = async ({ email, name }) => {
+    const uid = localUid(email);
+    const { customClaims } = getAccount(uid);
+    const token = jwt.sign(
+      {
+        ...customClaims,
+        email,
+        name,
+        auth_time: Math.floor(Date.now() / 1000),
+      },
+      secret,
+      {
+        algorithm: "HS256",
+        subject: uid,
+        issuer: LOCAL_ISSUER,
+        expiresIn: expiresInSeconds,
+      }
+    );
+    return { token, uid, expiresIn: expiresInSeconds };
+  };
+
+  return {
+    name: "local",
+    loginEnabled,
+    signIn,
+    verifyToken: async (token) => {
+      const payload = jwt.verify(token, secret, {
+        algorithms: ["HS256"],
+        issuer: LOCAL_ISSUER,
+      });
+      return { ...payload, uid: payload.sub };
+    },
+    getUser: async (uid) => ({ uid, ...getAccount(uid) }),
+    setCustomUserClaims: async (uid, claims) => {
+      getAccount(uid).customClaims = { ...claims };
+    },
+    // Whole seconds, like Firebase, so it compares cleanly with `auth_time`
+    revokeRefreshTokens: async (uid) => {
+      getAccount(uid).tokensValidAfterTime = new Date().toUTCString();
+    },
+  };
+};
+
+// AUTH_PROVIDER=local runs without Firebase credentials; it needs
+// LOCAL_AUTH_SECRET and is refused when NODE_ENV=production. Password-less
+// login is only exposed with LOCAL_AUTH_LOGIN_ENABLED=true.
+const createAuthProviderFromEnv = (env = process.env) => {
+  if (env.AUTH_PROVIDER === "local") {
+    if (env.NODE_ENV === "production") {
+      throw new Error("AUTH_PROVIDER=local cannot be used in production.");
+    }
+    if (!env.LOCAL_AUTH_SECRET) {
+      throw new Error("AUTH_PROVIDER=local requires LOCAL_AUTH_SECRET.");
+    }
+    return createLocalAuthProvider({
+      secret: env.LOCAL_AUTH_SECRET,
+      expiresInSeconds: parseInt(env.LOCAL_AUTH_TOKEN_TTL_SECONDS) || 60 * 60,
+      loginEnabled: env.LOCAL_AUTH_LOGIN_ENABLED === "true",
+    });
+  }
+
+  if (!fs.existsSync(FIREBASE_KEY_PATH)) {
+    throw new Error(
+      "Firebase credentials not found at admin-key.json. Add them, or set AUTH_PROVIDER=local to run without Firebase."
+    );
+  }
+  return createFirebaseAuthProvider({
+    serviceAccount: require(FIREBASE_KEY_PATH),
+  });
+};
+
+module.exports = {
+  createFirebaseAuthProvider,
+  createLocalAuthProvider,
+  createAuthProviderFromEnv,
+};
@@ -0,0 +1,125 @@
+// services/email/donationEmails.js
+
+const { toDonationDateTime } = require("../../schemas/donationRequest");
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+// How long before the donation the reminder goes out
+const getReminderHours = () => parseInt(process.env.EMAIL_REMINDER_HOURS) || 24;
+
+/**
+ * Maps donation request events onto queued emails.
+ * `email` is the service returned by createEmailService().
+ */
+const createDonationEmails = (email) => {
+  const onCreated = (request) =>
+    email.enqueue({
+      to: request.requesterEmail,
+      template: "requestCreated",
+      data: { request, name: request.requesterName },
+      requestId: request._id,
+    });
+
+  // A reminder to the donor and the requester before the donation, unless
+  // that time has already passed
+  const scheduleReminders = async (request) => {
+    const remindAt = new Date(
+      toDonationDateTime(request.donationDate, request.donationTime).getTime() -
+        getReminderHours() * HOUR_IN_MS
+    );
+    if (isNaN(remindAt.getTime()) || remindAt <= new Date()) return;
+
+    for (const [to, name] of [
+      [request.donorEmail, request.donorName],
+      [request.requesterEmail, request.requesterName],
+    ]) {
+      if (!to) continue;
+      await email.enqueue({
+        to,
+        template: "donationReminder",
+        data: { request, name },
+        requestId: request._id,
+        kind: "reminder",
+        sendAt: remindAt,
+      });
+    }
+  };
+
+  // Confirmation for both sides, plus a reminder to each before the donation
+  const onConfirmed = async (request, { donorName, donorEmail }) => {
+    const confirmed = { ...request, donorName, donorEmail };
+
+    await email.enqueue({
+      to: donorEmail,
+      template: "donationConfirmedDonor",
+      data: { request: confirmed, name: donorName },
+      requestId: request._id,
+    });
+    await email.enqueue({
+      to: request.requesterEmail,
+      template: "donationConfirmedRequester",
+      data: {
+        request: confirmed,
+        name: request.requesterName,
+        donorName,
+        donorEmail,
+      },
+      requestId: request._id,
+    });
+
+    await scheduleReminders(confirmed);
+  };
+
+  // `request` is the document after its donation date or time was edited:
+  // reminders move with the donation
+  const onRescheduled = async (request) => {
+    await email.cancelQueued(request._id, "reminder");
+    if (request.status === "inprogress") {
+      await scheduleReminders(request);
+    }
+  };
+
+  // Nothing more is sent about a deleted request
+  const onDeleted = (request) => email.cancelQueued(request._id);
+
+  // `request` is the document as it was before the status change
+  const onStatusChanged = async (request, status, { reason } = {}) => {
+    // Any change away from inprogress makes pending reminders obsolete
+    await email.cancelQueued(request._id, "reminder");
+
+    const requester = [request.requesterEmail, request.requesterName];
+    const donor = [request.donorEmail, request.donorName];
+
+    const recipients = {
+      canceled: { template: "donationCanceled", to: [requester, donor] },
+      done: { template: "donationCompleted", to: [requester, donor] },
+      // Reopening a disputed request is not a withdrawal
+      pending:
+        request.status === "inprogress"
+          ? { template: "donorWithdrew", to: [requester] }
+          : null,
+    }[status];
+    if (!recipients) return;
+
+    for (const [to, name] of recipients.to) {
+      // A pending request has no donor yet
+      if (!to) continue;
+      await email.enqueue({
+        to,
+        template: recipients.template,
+        data: { request, name, reason },
+        requestId: request._id,
+      });
+    }
+  };
+
+  return {
+    onCreated,
+    onConfirmed,
+    onRescheduled,
+    onStatusChanged,
+    onDeleted,
+  };
+};
+
+module.exports = { createDonationEmails };
@@ -0,0 +1,179 @@
+// services/email/index.js
+
+const { renderTemplate } = require("./templates");
+const { createTransportFromEnv } = require("./transports");
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 20;
+// A job stuck in "sending" this long is assumed to belong to a crashed worker
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// 1, 2, 4, 8... minutes between attempts
+const retryDelayMs = (attempts) => 60 * 1000 * 2 ** (attempts - 1);
+
+/**
+ * Creates the email service: templated messages are queued in
+ * `emailQueueCollection`, delivered through `transport` with retries, and
+ * every delivered message is recorded in `emailLogCollection`.
+ *
+ * Enqueueing never throws, so a mail problem cannot fail the API request
+ * that triggered it.
+ */
+const createEmailService = ({
+  emailQueueCollection,
+  emailLogCollection,
+  transport = createTransportFromEnv(),
+  from = process.env.EMAIL_FROM || "BloodConnect <no-reply@bloodconnect.local>",
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+}) => {
+  let processing = null;
+
+  const enqueue = async ({ to, template, data, sendAt, requestId, kind }) => {
+    try {
+      if (!to) return null;
+      const { subject, text, html } = renderTemplate(template, data);
+      const result = await emailQueueCollection.insertOne({
+        to,
+        template,
+        subject,
+        text,
+        html,
+        requestId: requestId || null,
+        kind: kind || template,
+        status: "queued",
+        attempts: 0,
+        maxAttempts,
+        sendAt: sendAt || new Date(),
+        lastError: null,
+        createdAt: new Date(),
+      });
+      if (!sendAt || sendAt <= new Date()) {
+        // Deliver right away instead of waiting for the next interval
+        processQueue().catch(() => {});
+      }
+      return result.insertedId;
+    } catch (error) {
+      console.error(`Error queueing ${template} email:`, error);
+      return null;
+    }
+  };
+
+  // Drops queued messages of one kind for a request, e.g. reminders for a
+  // donation that was canceled
+  const cancelQueued = async (requestId, kind) => {
+    try {
+      const query = { requestId, status: "queued" };
+      if (kind) query.kind = kind;
+      await emailQueueCollection.updateMany(query, {
+        $set: { status: "canceled", canceledAt: new Date() },
+      });
+    } catch (error) {
+      console.error("Error canceling queued emails:", error);
+    }
+  };
+
+  // Atomically takes the next due job so parallel workers never send twice
+  const claimNext = (now) =>
+    emailQueueCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "queued", sendAt: { $lte: now } },
+          {
+            status: "sending",
+            lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) },
+          },
+        ],
+      },
+      { $set: { status: "sending", lockedAt: now } },
+      { sort: { sendAt: 1 }, returnDocument: "after" }
+    );
+
+  const deliver = async (job) => {
+    const attempts = job.attempts + 1;
+    try {
+      const { messageId } = await transport.send({
+        from,
+        to: job.to,
+        subject: job.subject,
+        text: job.text,
+        html: job.html,
+      });
+      const sentAt = new Date();
+      await emailQueueCollection.updateOne(
+        { _id: job._id },
+        {
+          $set: { status: "sent", attempts, sentAt, lastError: null },
+          $unset: { lockedAt: "" },
+        }
+      );
+      await emailLogCollection.insertOne({
+        queueId: job._id,
+        to: job.to,
+        subject: job.subject,
+        template: job.template,
+        requestId: job.requestId,
+        transport: transport.name,
+        messageId,
+        attempts,
+        sentAt,
+      });
+      return true;
+    } catch (error) {
+      const giveUp = attempts >= job.maxAttempts;
+      await emailQueueCollection.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: giveUp ? "failed" : "queued",
+            attempts,
+            lastError: error.message,
+            sendAt: giveUp
+              ? job.sendAt
+              : new Date(Date.now() + retryDelayMs(attempts)),
+          },
+          $unset: { lockedAt: "" },
+        }
+      );
+      console.error(
+        `Email ${job._id} to ${job.to} failed (attempt ${attempts}):`,
+        error.message
+      );
+      return false;
+    }
+  };
+
+  // Sends every due message, one batch at a time. Concurrent calls in the
+  // same process share one run.
+  const processQueue = () => {
+    if (processing) return processing;
+    processing = (async () => {
+      let sent = 0;
+      try {
+        for (let i = 0; i < BATCH_SIZE; i++) {
+          const job = await claimNext(new Date());
+          if (!job) break;
+          if (await deliver(job)) sent++;
+        }
+      } finally {
+        processing = null;
+      }
+      return sent;
+    })();
+    return processing;
+  };
+
+  // Polls the queue so retries and scheduled messages go out
+  const startWorker = (intervalMs = 30 * 1000) => {
+    const timer = setInterval(() => {
+      processQueue().catch((error) =>
+        console.error("Error processing email queue:", error)
+      );
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  };
+
+  return { enqueue, cancelQueued, processQueue, startWorker };
+};
+
+module.exports = { createEmailService };
@@ -0,0 +1,101 @@
+// services/email/templates.js
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Renders the same lines as plain text and as simple HTML paragraphs
+const render = (subject, lines) => ({
+  subject,
+  text: lines.join("\n\n"),
+  html: lines.map((line) => `<p>${escapeHtml(line)}</p>`).join("\n"),
+});
+
+const requestSummary = (request) => [
+  `Recipient: ${request.recipientName} (${request.bloodGroup})`,
+  `When: ${request.donationDate} at ${request.donationTime}`,
+  `Where: ${request.hospitalName}, ${request.fullAddress}, ${request.recipientUpazila}, ${request.recipientDistrict}`,
+];
+
+// Each template takes `{ request, name, ... }` and returns
+// `{ subject, text, html }`
+const templates = {
+  requestCreated: ({ request, name }) =>
+    render(`Your blood donation request for ${request.recipientName}`, [
+      `Hi ${name || "there"},`,
+      "We received your blood donation request. Compatible donors nearby have been notified.",
+      ...requestSummary(request),
+    ]),
+
+  donationConfirmedDonor: ({ request, name }) =>
+    render(
+      `You're donating ${request.bloodGroup} blood on ${request.donationDate}`,
+      [
+        `Hi ${name || "there"},`,
+        `Thank you for confirming your donation for ${request.recipientName}. Please arrive on time at the hospital below.`,
+        ...requestSummary(request),
+        `Requester: ${request.requesterName} (${request.requesterEmail})`,
+      ]
+    ),
+
+  donationConfirmedRequester: ({ request, name, donorName, donorEmail }) =>
+    render(`A donor confirmed your request for ${request.recipientName}`, [
+      `Hi ${name || "there"},`,
+      `${
+        donorName || "A donor"
+      } (${donorEmail}) has confirmed they will donate.`,
+      ...requestSummary(request),
+    ]),
+
+  donationCanceled: ({ request, name, reason }) =>
+    render(`Donation request for ${request.recipientName} was canceled`, [
+      `Hi ${name || "there"},`,
+      `The donation request below has been canceled${
+        reason ? `: ${reason}.` : "."
+      }`,
+      ...requestSummary(request),
+    ]),
+
+  donorWithdrew: ({ request, name, reason }) =>
+    render(
+      `Your donor withdrew from the request for ${request.recipientName}`,
+      [
+        `Hi ${name || "there"},`,
+        `The donor who confirmed your request can no longer donate${
+          reason ? `: ${reason}.` : "."
+        } Your request is open again so other donors can confirm it.`,
+        ...requestSummary(request),
+      ]
+    ),
+
+  donationCompleted: ({ request, name }) =>
+    render(`Donation for ${request.recipientName} completed`, [
+      `Hi ${name || "there"},`,
+      "The donation below has been marked as done. Thank you for using BloodConnect.",
+      ...requestSummary(request),
+    ]),
+
+  donationReminder: ({ request, name }) =>
+    render(
+      `Reminder: blood donation on ${request.donationDate} at ${request.donationTime}`,
+      [
+        `Hi ${name || "there"},`,
+        "This is a reminder that the blood donation below is coming up soon.",
+        ...requestSummary(request),
+      ]
+    ),
+};
+
+const renderTemplate = (templateName, data) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+  return template(data);
+};
+
+module.exports = { templates, renderTemplate, escapeHtml };
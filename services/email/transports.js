@@ -0,0 +1,61 @@
+// services/email/transports.js
+
+const nodemailer = require("nodemailer");
+
+// A transport is any object with a `name` and an async
+// `send({ from, to, subject, text, html })` that resolves to `{ messageId }`
+// or throws. New providers only need to implement that shape.
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Used in development when no SMTP server is configured: prints the whole
+// message, personal details included, instead of sending it
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(
+      `[email] to=${message.to} subject="${message.subject}"\n${message.text}`
+    );
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+// SMTP_HOST=localhost SMTP_PORT=1025 points at a local catcher such as
+// MailHog or smtp4dev, so no real mail provider is needed in development.
+// Production refuses to start without SMTP_HOST rather than print emails.
+const createTransportFromEnv = (env = process.env) => {
+  if (!env.SMTP_HOST) {
+    if (env.NODE_ENV === "production") {
+      throw new Error("SMTP_HOST is required in production.");
+    }
+    return createConsoleTransport();
+  }
+  return createSmtpTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === "true",
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+  });
+};
+
+module.exports = {
+  createSmtpTransport,
+  createConsoleTransport,
+  createTransportFromEnv,
+};
@@ -0,0 +1,264 @@
+// services/notifications.js
+
+const { getCompatibleDonorGroups } = require("../utils/bloodCompatibility");
+const {
+  eligibleDonorFilter,
+  getEligibilityDate,
+} = require("../utils/eligibility");
+const { availableDonorFilter } = require("../utils/availability");
+const { getNeighbouringDistricts } = require("../utils/locations");
+const { getCriticalRadiusKm } = require("../utils/urgency");
+const { ownerFields, partyUserFilter } = require("../utils/ownership");
+
+// Event types a user can opt out of in their notification preferences
+const NOTIFICATION_TYPES = [
+  "request_created",
+  "request_confirmed",
+  "request_completed",
+  "request_canceled",
+  "contact_requested",
+  "contact_responded",
+  "request_assigned",
+  "donation_reported",
+  "donation_disputed",
+  "donor_withdrew",
+];
+
+const DEFAULT_PREFERENCES = Object.fromEntries(
+  NOTIFICATION_TYPES.map((type) => [type, true])
+);
+
+const getPreferences = (user) => ({
+  ...DEFAULT_PREFERENCES,
+  ...(user?.notificationPreferences || {}),
+});
+
+// Users who have not turned this event type off
+const acceptsType = (type) => ({
+  [`notificationPreferences.${type}`]: { $ne: false },
+});
+
+const describeRequest = (request) =>
+  `${request.bloodGroup} blood for ${request.recipientName} at ${
+    request.hospitalName || request.recipientDistrict
+  } on ${request.donationDate}`;
+
+/**
+ * Creates the in-app notification service. Notifications are stored per
+ * recipient (uid, and email for legacy users); every method swallows and
+ * logs its own errors so a failed notification never fails the request
+ * that triggered it.
+ */
+const createNotificationService = ({
+  notificationCollection,
+  userCollection,
+}) => {
+  const insertForUsers = async (users, type, { title, message, request }) => {
+    if (users.length === 0) return 0;
+    const now = new Date();
+    await notificationCollection.insertMany(
+      users.map((user) => ({
+        ...ownerFields("recipient", user),
+        type,
+        title,
+        message,
+        requestId: request._id,
+        read: false,
+        createdAt: now,
+      }))
+    );
+    return users.length;
+  };
+
+  // Notifies one user if their preferences allow it. `recipient` is a user
+  // filter, such as partyUserFilter() returns for a party to a request.
+  const notifyUser = async (recipient, type, content) => {
+    try {
+      if (!recipient) return 0;
+      const user = await userCollection.findOne(
+        { ...recipient, ...acceptsType(type) },
+        { projection: { uid: 1, email: 1 } }
+      );
+      return await insertForUsers(user ? [user] : [], type, content);
+    } catch (error) {
+      console.error(`Error sending ${type} notification:`, error);
+      return 0;
+    }
+  };
+
+  // A new request goes to active donors in the same district whose blood
+  // group can give to the recipient and who are available on, and eligible
+  // by, the donation date. Critical requests also reach donors in neighbouring
+  // districts.
+  const notifyRequestCreated = async (request) => {
+    try {
+      const districtIds = [request.recipientDistrictId];
+      if (request.urgency === "critical") {
+        districtIds.push(
+          ...getNeighbouringDistricts(
+            request.recipientDistrictId,
+            getCriticalRadiusKm()
+          ).map((d) => d.id)
+        );
+      }
+
+      const donors = await userCollection
+        .find(
+          {
+            $and: [
+              {
+                role: "donor",
+                status: "active",
+                bloodGroup: {
+                  $in: getCompatibleDonorGroups(request.bloodGroup),
+                },
+                districtId: { $in: districtIds },
+                ...acceptsType("request_created"),
+                ...availableDonorFilter(request.donationDate),
+              },
+              eligibleDonorFilter(getEligibilityDate(request)),
+              { $nor: [partyUserFilter("requester", request)] },
+            ],
+          },
+          { projection: { uid: 1, email: 1 } }
+        )
+        .toArray();
+
+      return await insertForUsers(donors, "request_created", {
+        title: `${request.urgency === "critical" ? "CRITICAL: " : ""}${
+          request.bloodGroup
+        } blood needed in ${request.recipientDistrict}`,
+        message: `Someone near you needs ${describeRequest(request)}.`,
+        request,
+      });
+    } catch (error) {
+      console.error("Error sending request_created notifications:", error);
+      return 0;
+    }
+  };
+
+  const notifyRequestConfirmed = (request, donorName) =>
+    notifyUser(partyUserFilter("requester", request), "request_confirmed", {
+      title: "A donor confirmed your request",
+      message: `${donorName || "A donor"} will donate ${describeRequest(
+        request
+      )}.`,
+      request,
+    });
+
+  const notifyRequestCompleted = (request) =>
+    notifyUser(partyUserFilter("requester", request), "request_completed", {
+      title: "Donation completed",
+      message: `Your request for ${describeRequest(
+        request
+      )} was marked as done.`,
+      request,
+    });
+
+  const notifyRequestCanceled = (request, reason) =>
+    notifyUser(partyUserFilter("requester", request), "request_canceled", {
+      title: "Donation request canceled",
+      message: `Your request for ${describeRequest(request)} was canceled${
+        reason ? `: ${reason}` : "."
+      }`,
+      request,
+    });
+
+  const notifyContactRequested = (contactRequest, request) =>
+    notifyUser({ _id: contactRequest.donorId }, "contact_requested", {
+      title: "A requester would like to contact you",
+      message: `${
+        contactRequest.requesterName || "A requester"
+      } is asking for your contact details for ${describeRequest(request)}.`,
+      request,
+    });
+
+  const notifyContactResponded = (contactRequest, request) =>
+    notifyUser(
+      partyUserFilter("requester", contactRequest),
+      "contact_responded",
+      {
+        title:
+          contactRequest.status === "accepted"
+            ? "A donor shared their contact details"
+            : "A donor declined your contact request",
+        message: `${contactRequest.donorName || "The donor"} ${
+          contactRequest.status === "accepted" ? "accepted" : "declined"
+        } your contact request for ${describeRequest(request)}.`,
+        request,
+      }
+    );
+
+  // `assignee` is the user document of the volunteer or admin
+  const notifyRequestAssigned = (request, assignee, assignedByName) =>
+    notifyUser({ _id: assignee._id }, "request_assigned", {
+      title: "A donation request was assigned to you",
+      message: `${
+        assignedByName || "An admin"
+      } assigned you the request for ${describeRequest(request)}.`,
+      request,
+    });
+
+  const notifyDonationReported = (request) =>
+    notifyUser(partyUserFilter("requester", request), "donation_reported", {
+      title: "Please confirm the donation",
+      message: `${
+        request.donorName || "Your donor"
+      } reported donating ${describeRequest(
+        request
+      )}. Please confirm it, or dispute it if it did not happen.`,
+      request,
+    });
+
+  // Goes to the donor and, if the request is assigned, its volunteer
+  const notifyDonationDisputed = async (request, reason) => {
+    const content = {
+      title: "Donation disputed",
+      message: `The requester disputed the donation of ${describeRequest(
+        request
+      )}${reason ? `: ${reason}` : "."}`,
+      request,
+    };
+    await notifyUser(
+      partyUserFilter("donor", request),
+      "donation_disputed",
+      content
+    );
+    await notifyUser(
+      partyUserFilter("assignee", request),
+      "donation_disputed",
+      content
+    );
+  };
+
+  const notifyDonorWithdrew = (request, reason) =>
+    notifyUser(partyUserFilter("requester", request), "donor_withdrew", {
+      title: "Your donor withdrew",
+      message: `${
+        request.donorName || "The donor"
+      } can no longer donate ${describeRequest(request)}${
+        reason ? `: ${reason}.` : "."
+      } Your request is open to other donors again.`,
+      request,
+    });
+
+  return {
+    notifyUser,
+    notifyRequestCreated,
+    notifyRequestConfirmed,
+    notifyRequestCompleted,
+    notifyRequestCanceled,
+    notifyContactRequested,
+    notifyContactResponded,
+    notifyRequestAssigned,
+    notifyDonationReported,
+    notifyDonationDisputed,
+    notifyDonorWithdrew,
+  };
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  getPreferences,
+  createNotificationService,
+};
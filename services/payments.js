@@ -0,0 +1,41 @@
+// services/payments.js
+
+const PAYMENTS_DISABLED_MESSAGE =
+  "Payments are not configured on this server (STRIPE_SECRET_KEY is not set).";
+
+/**
+ * Stands in for the Stripe client when no secret key is configured, so the
+ * API can run without Stripe credentials. Routes check `disabled` and answer
+ * 503; any call that gets through throws.
+ */
+const createDisabledPayments = () => {
+  const fail = () => {
+    throw new Error(PAYMENTS_DISABLED_MESSAGE);
+  };
+  return {
+    disabled: true,
+    paymentIntents: {
+      create: async () => fail(),
+      retrieve: async () => fail(),
+    },
+    webhooks: { constructEvent: fail },
+  };
+};
+
+// A Stripe client for STRIPE_SECRET_KEY. Without a key, payments are
+// disabled outside production; production refuses to start.
+const createPaymentsFromEnv = (env = process.env) => {
+  if (env.STRIPE_SECRET_KEY) {
+    return require("stripe")(env.STRIPE_SECRET_KEY);
+  }
+  if (env.NODE_ENV === "production") {
+    throw new Error("STRIPE_SECRET_KEY is required in production.");
+  }
+  return createDisabledPayments();
+};
+
+module.exports = {
+  PAYMENTS_DISABLED_MESSAGE,
+  createDisabledPayments,
+  createPaymentsFromEnv,
+};
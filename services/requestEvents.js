@@ -0,0 +1,140 @@
+// services/requestEvents.js
+
+const { randomUUID } = require("crypto");
+const { isOwner } = require("../utils/ownership");
+
+// Fields anyone may see, matching the public pending requests page
+const PUBLIC_FIELDS = [
+  "_id",
+  "recipientName",
+  "recipientDistrict",
+  "recipientUpazila",
+  "bloodGroup",
+  "donationDate",
+  "donationTime",
+  "urgency",
+  "status",
+];
+
+// Staff-only case details, hidden from requesters and donors: case notes,
+// handover notes in the assignment history and who made the assignment
+const INTERNAL_FIELDS = [
+  "internalNotes",
+  "assignmentHistory",
+  "assignedTo.assignedBy",
+];
+
+// The same fields as a find() projection that leaves them out
+const INTERNAL_PROJECTION = Object.fromEntries(
+  INTERNAL_FIELDS.map((field) => [field, 0])
+);
+
+const isStaff = (viewer) =>
+  viewer?.role === "admin" || viewer?.role === "volunteer";
+
+const withoutInternalFields = (request) => {
+  const visible = { ...request };
+  INTERNAL_FIELDS.forEach((path) => {
+    const [field, nested] = path.split(".");
+    if (!nested) {
+      delete visible[field];
+    } else if (visible[field] && typeof visible[field] === "object") {
+      visible[field] = { ...visible[field] };
+      delete visible[field][nested];
+    }
+  });
+  return visible;
+};
+
+const toVisibleRequest = (request, viewer) => {
+  if (isStaff(viewer)) return request;
+  if (isOwner("requester", request, viewer)) {
+    return withoutInternalFields(request);
+  }
+  return Object.fromEntries(
+    PUBLIC_FIELDS.filter((field) => field in request).map((field) => [
+      field,
+      request[field],
+    ])
+  );
+};
+
+/**
+ * In-process hub for donation request events sent over Server-Sent Events.
+ *
+ * Event IDs are `<bootId>-<sequence>`. The last `bufferSize` events are kept
+ * so a client reconnecting with Last-Event-ID gets what it missed; if the ID
+ * is from before a restart or too old, the client gets a `reset` event and
+ * should refetch.
+ */
+const createRequestEventHub = ({ bufferSize = 500 } = {}) => {
+  const bootId = randomUUID().slice(0, 8);
+  let sequence = 0;
+  const buffer = [];
+  const clients = new Set();
+
+  const write = (client, event) => {
+    const data = event.request
+      ? { ...event, request: toVisibleRequest(event.request, client.viewer) }
+      : event;
+    client.res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`
+    );
+  };
+
+  // type is one of: created, confirmed, updated, deleted
+  const publish = (type, request) => {
+    const event = {
+      id: `${bootId}-${++sequence}`,
+      type: `donation-request.${type}`,
+      request,
+      at: new Date(),
+    };
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    clients.forEach((client) => {
+      try {
+        write(client, event);
+      } catch (error) {
+        clients.delete(client);
+      }
+    });
+  };
+
+  const replay = (client, lastEventId) => {
+    const [lastBootId, lastSequence] = String(lastEventId).split("-");
+    const seq = parseInt(lastSequence);
+    const oldest = buffer[0] ? parseInt(buffer[0].id.split("-")[1]) : 1;
+
+    if (lastBootId !== bootId || isNaN(seq) || seq + 1 < oldest) {
+      client.res.write(
+        `event: reset\ndata: ${JSON.stringify({
+          message: "Missed events are no longer available. Please refetch.",
+        })}\n\n`
+      );
+      return;
+    }
+    buffer
+      .filter((event) => parseInt(event.id.split("-")[1]) > seq)
+      .forEach((event) => write(client, event));
+  };
+
+  // Registers an open SSE response; returns a function that removes it
+  const subscribe = (res, viewer, lastEventId) => {
+    const client = { res, viewer };
+    if (lastEventId) replay(client, lastEventId);
+    clients.add(client);
+    return () => clients.delete(client);
+  };
+
+  return { publish, subscribe, clientCount: () => clients.size };
+};
+
+module.exports = {
+  INTERNAL_FIELDS,
+  INTERNAL_PROJECTION,
+  createRequestEventHub,
+  toVisibleRequest,
+  withoutInternalFields,
+};
@@ -0,0 +1,128 @@
+// services/roles.js
+
+// Higher ranks include the privileges of lower ones
+const ROLE_RANK = { donor: 0, volunteer: 1, admin: 2 };
+
+/**
+ * Role checks backed by custom claims on the auth provider (see
+ * services/authProviders.js).
+ *
+ * Routes pass the user document verifyAccountStatus already loaded, so a
+ * check costs no extra reads: an unprivileged claim is trusted, and a
+ * privileged one (volunteer or admin) only counts while the stored role is
+ * at least as high, so a demotion applies on every instance at once. Tokens
+ * issued before the claim was set use the stored role.
+ *
+ * Without a user document the service looks things up itself: the role in
+ * `userCollection`, of which only unprivileged ones are cached (for
+ * `cacheTtlMs`), and the time the user's tokens were last revoked on the
+ * auth provider, cached for `revocationCacheTtlMs`. Role changes made
+ * through `syncRole` update the claim and revoke tokens when privileges are
+ * removed.
+ */
+const createRoleService = ({
+  auth,
+  findUser,
+  cacheTtlMs = 60 * 1000,
+  revocationCacheTtlMs = 10 * 1000,
+}) => {
+  const roleCache = new Map();
+  const revocationCache = new Map();
+
+  const rank = (role) => ROLE_RANK[role] ?? 0;
+  const isPrivileged = (role) => rank(role) > 0;
+
+  const getDatabaseRole = async (firebaseUser) => {
+    const entry = roleCache.get(firebaseUser.uid);
+    if (entry && entry.expiresAt > Date.now()) return entry.role;
+    roleCache.delete(firebaseUser.uid);
+
+    const user = await findUser(firebaseUser);
+    const role = user?.role || null;
+    if (!isPrivileged(role)) {
+      roleCache.set(firebaseUser.uid, {
+        role,
+        expiresAt: Date.now() + cacheTtlMs,
+      });
+    }
+    return role;
+  };
+
+  // Milliseconds since epoch before which the user's tokens are revoked
+  const getTokensValidSince = async (uid) => {
+    const entry = revocationCache.get(uid);
+    if (entry && entry.expiresAt > Date.now()) return entry.validSince;
+
+    const record = await auth.getUser(uid);
+    const validSince = record.tokensValidAfterTime
+      ? new Date(record.tokensValidAfterTime).getTime()
+      : 0;
+    revocationCache.set(uid, {
+      validSince,
+      expiresAt: Date.now() + revocationCacheTtlMs,
+    });
+    return validSince;
+  };
+
+  // Returns `{ role, revoked }` for a verified token: the role it acts
+  // with, or null if its privileged claim has been revoked. `user` is the
+  // user's document (null if they have none), or undefined to look it up.
+  const resolveRole = async (firebaseUser, user) => {
+    const claimedRole = firebaseUser.role;
+    if (!claimedRole) {
+      const role =
+        user === undefined
+          ? await getDatabaseRole(firebaseUser)
+          : user?.role || null;
+      return { role, revoked: false };
+    }
+    if (!isPrivileged(claimedRole)) {
+      return { role: claimedRole, revoked: false };
+    }
+    const revoked =
+      user === undefined
+        ? firebaseUser.auth_time * 1000 <
+          (await getTokensValidSince(firebaseUser.uid))
+        : rank(user?.role) < rank(claimedRole);
+    return { role: revoked ? null : claimedRole, revoked };
+  };
+
+  // Returns `{ allowed, revoked, role }` for a verified token and a list of
+  // roles; `role` is set when it was resolved (see resolveRole)
+  const checkRole = async (firebaseUser, allowedRoles, user) => {
+    if (firebaseUser.role && !allowedRoles.includes(firebaseUser.role)) {
+      return { allowed: false, revoked: false, role: null };
+    }
+    const { role, revoked } = await resolveRole(firebaseUser, user);
+    return { allowed: allowedRoles.includes(role), revoked, role };
+  };
+
+  const invalidate = (uid) => {
+    roleCache.delete(uid);
+    revocationCache.delete(uid);
+  };
+
+  // Writes `role` into the user's custom claims, keeping any other claims,
+  // and revokes their tokens if the new role has fewer privileges than the
+  // stored or claimed one, so a failed sync can simply be retried. Returns
+  // `{ synced, revoked }`; users without a stored uid cannot be synced.
+  const syncRole = async (user, role, previousRole) => {
+    if (!user.uid) return { synced: false, revoked: false };
+
+    const record = await auth.getUser(user.uid);
+    const claims = record.customClaims || {};
+    await auth.setCustomUserClaims(user.uid, { ...claims, role });
+
+    const previousRank = Math.max(rank(previousRole), rank(claims.role));
+    const revoked = rank(role) < previousRank;
+    if (revoked) {
+      await auth.revokeRefreshTokens(user.uid);
+    }
+    invalidate(user.uid);
+    return { synced: true, revoked };
+  };
+
+  return { resolveRole, checkRole, syncRole, invalidate };
+};
+
+module.exports = { ROLE_RANK, createRoleService };
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("blogs", () => {
+  let t;
+  let admin;
+  let volunteer;
+  let donor;
+
+  before(async () => {
+    t = await startTestApp();
+    admin = await t.createUser({ email: "admin@example.com", role: "admin" });
+    volunteer = await t.createUser({
+      email: "volunteer@example.com",
+      role: "volunteer",
+    });
+    donor = await t.createUser({ email: "donor@example.com" });
+  });
+
+  after(() => t?.close());
+
+  it("publishes volunteer drafts only once an admin approves them", async () => {
+    const denied = await t.request("POST", "/blogs", {
+      token: donor.token,
+      body: { title: "Not allowed", content: "..." },
+    });
+    assert.equal(denied.status, 403);
+
+    const created = await t.request("POST", "/blogs", {
+      token: volunteer.token,
+      body: { title: "Why donate", content: "Every donation helps." },
+    });
+    assert.equal(created.status, 201);
+    const id = created.body.insertedId;
+
+    const hidden = await t.request("GET", `/blogs/public/${id}`);
+    assert.equal(hidden.status, 404);
+
+    const volunteerPublish = await t.request("PATCH", `/blogs/status/${id}`, {
+      token: volunteer.token,
+      body: { status: "published" },
+    });
+    assert.equal(volunteerPublish.status, 403);
+
+    const published = await t.request("PATCH", `/blogs/status/${id}`, {
+      token: admin.token,
+      body: { status: "published" },
+    });
+    assert.equal(published.status, 200);
+
+    const list = await t.request("GET", "/blogs/published");
+    assert.equal(list.status, 200);
+    assert.equal(list.headers.get("x-total-count"), "1");
+    assert.equal(list.body[0].title, "Why donate");
+
+    const shown = await t.request("GET", `/blogs/public/${id}`);
+    assert.equal(shown.status, 200);
+    assert.equal(shown.body.content, "Every donation helps.");
+  });
+
+  it("lets only admins delete posts, with an audit entry", async () => {
+    const created = await t.request("POST", "/blogs", {
+      token: volunteer.token,
+      body: { title: "Old news", content: "..." },
+    });
+    const id = created.body.insertedId;
+
+    const denied = await t.request("DELETE", `/blogs/${id}`, {
+      token: volunteer.token,
+    });
+    assert.equal(denied.status, 403);
+
+    const deleted = await t.request("DELETE", `/blogs/${id}`, {
+      token: admin.token,
+    });
+    assert.equal(deleted.status, 200);
+
+    const audit = await t.db
+      .collection("auditLog")
+      .findOne({ action: "blog.delete", targetId: id });
+    assert.equal(audit.actorEmail, "admin@example.com");
+    assert.equal(audit.before.title, "Old news");
+  });
+});
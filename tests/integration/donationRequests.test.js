@@ -0,0 +1,246 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { daysFromNow, startTestApp } = require("./helpers");
+
+const requestBody = (overrides = {}) => ({
+  recipientName: "Rahim",
+  bloodGroup: "O+",
+  recipientDistrict: "Dhaka",
+  recipientUpazila: "Savar",
+  hospitalName: "Enam Medical College Hospital",
+  fullAddress: "Thana Road, Savar",
+  donationDate: daysFromNow(3),
+  donationTime: "10:30",
+  ...overrides,
+});
+
+describe("donation requests", () => {
+  let t;
+  let requester;
+  let donor;
+  let volunteer;
+
+  before(async () => {
+    t = await startTestApp();
+    requester = await t.createUser({ email: "requester@example.com" });
+    donor = await t.createUser({ email: "donor@example.com" });
+    volunteer = await t.createUser({
+      email: "volunteer@example.com",
+      role: "volunteer",
+    });
+  });
+
+  after(() => t?.close());
+
+  const createRequest = async (overrides) => {
+    const response = await t.request("POST", "/donation-requests", {
+      token: requester.token,
+      body: requestBody(overrides),
+    });
+    assert.equal(response.status, 201);
+    return response.body.insertedId;
+  };
+
+  it("validates new requests", async () => {
+    const response = await t.request("POST", "/donation-requests", {
+      token: requester.token,
+      body: requestBody({ bloodGroup: "Z+", donationDate: daysFromNow(-1) }),
+    });
+    assert.equal(response.status, 400);
+    const fields = response.body.errors.map((error) => error.field);
+    assert.ok(fields.includes("bloodGroup"));
+    assert.ok(fields.includes("donationDate"));
+  });
+
+  it("stores canonical locations and server-owned fields", async () => {
+    const id = await createRequest({
+      recipientDistrict: "dhaka",
+      status: "done",
+    });
+    const request = await t.request("GET", `/donation-requests/${id}`, {
+      token: requester.token,
+    });
+    assert.equal(request.status, 200);
+    assert.equal(request.body.status, "pending");
+    assert.equal(request.body.recipientDistrict, "Dhaka");
+    assert.equal(request.body.recipientDistrictId, "26");
+    assert.equal(request.body.requesterEmail, "requester@example.com");
+  });
+
+  it("lists pending requests publicly, most urgent first", async () => {
+    const criticalId = await createRequest({ urgency: "critical" });
+
+    const response = await t.request("GET", "/donation-requests/pending");
+    assert.equal(response.status, 200);
+    assert.equal(response.body[0]._id, criticalId);
+    assert.equal(response.body[0].requesterEmail, undefined);
+  });
+
+  it("runs a donation from confirmation to completion", async () => {
+    const id = await createRequest();
+
+    const own = await t.request("PATCH", `/donation-requests/confirm/${id}`, {
+      token: requester.token,
+    });
+    assert.equal(own.status, 403);
+
+    const confirmed = await t.request(
+      "PATCH",
+      `/donation-requests/confirm/${id}`,
+      { token: donor.token }
+    );
+    assert.equal(confirmed.status, 200);
+
+    const again = await t.request("PATCH", `/donation-requests/confirm/${id}`, {
+      token: donor.token,
+    });
+    assert.equal(again.status, 400);
+
+    const reported = await t.request("PATCH", `/donation-requests/${id}`, {
+      token: donor.token,
+      body: { status: "donated" },
+    });
+    assert.equal(reported.status, 200);
+
+    // Only the requester or staff may confirm the donation happened
+    const selfConfirmed = await t.request("PATCH", `/donation-requests/${id}`, {
+      token: donor.token,
+      body: { status: "done" },
+    });
+    assert.equal(selfConfirmed.status, 403);
+
+    const done = await t.request("PATCH", `/donation-requests/${id}`, {
+      token: requester.token,
+      body: { status: "done" },
+    });
+    assert.equal(done.status, 200);
+
+    const request = await t.db
+      .collection("donationRequests")
+      .findOne({ _id: new ObjectId(id) });
+    assert.deepEqual(
+      request.statusHistory.map(({ from, to }) => `${from}->${to}`),
+      ["pending->inprogress", "inprogress->donated", "donated->done"]
+    );
+
+    const stored = await t.db.collection("users").findOne({ uid: donor.uid });
+    assert.ok(stored.lastDonationDate instanceof Date);
+
+    const eligibility = await t.request("GET", "/donors/eligibility", {
+      token: donor.token,
+    });
+    assert.equal(eligibility.body.eligible, false);
+  });
+
+  it("lets the donor withdraw, reopening the request", async () => {
+    const otherDonor = await t.createUser({ email: "other-donor@example.com" });
+    const id = await createRequest();
+    await t.request("PATCH", `/donation-requests/confirm/${id}`, {
+      token: otherDonor.token,
+    });
+
+    const withdrawn = await t.request(
+      "PATCH",
+      `/donation-requests/${id}/withdraw`,
+      { token: otherDonor.token, body: { reason: "Fell ill" } }
+    );
+    assert.equal(withdrawn.status, 200);
+
+    const request = await t.request("GET", `/donation-requests/${id}`, {
+      token: requester.token,
+    });
+    assert.equal(request.body.status, "pending");
+    assert.equal(request.body.donorEmail, undefined);
+  });
+
+  it("lets the requester cancel a pending request", async () => {
+    const id = await createRequest();
+
+    const byDonor = await t.request("PATCH", `/donation-requests/${id}`, {
+      token: donor.token,
+      body: { status: "canceled" },
+    });
+    assert.equal(byDonor.status, 403);
+
+    const canceled = await t.request("PATCH", `/donation-requests/${id}`, {
+      token: requester.token,
+      body: { status: "canceled", reason: "Found a donor elsewhere" },
+    });
+    assert.equal(canceled.status, 200);
+
+    const request = await t.request("GET", `/donation-requests/${id}`, {
+      token: requester.token,
+    });
+    assert.equal(request.body.status, "canceled");
+    assert.equal(request.body.statusHistory.at(-1).actorRole, "requester");
+  });
+
+  it("keeps requests with their owner after a sign-in email change", async () => {
+    const owner = await t.createUser({ email: "before@example.com" });
+    const created = await t.request("POST", "/donation-requests", {
+      token: owner.token,
+      body: requestBody(),
+    });
+    const id = created.body.insertedId;
+
+    const renamed = t.auth.signIn({
+      uid: owner.uid,
+      email: "after@example.com",
+    });
+    const mine = await t.request("GET", "/donation-requests/my-requests", {
+      token: renamed,
+    });
+    assert.deepEqual(
+      mine.body.map((request) => request._id),
+      [id]
+    );
+
+    const canceled = await t.request("PATCH", `/donation-requests/${id}`, {
+      token: renamed,
+      body: { status: "canceled" },
+    });
+    assert.equal(canceled.status, 200);
+
+    // Someone else signing in with the old address gets nothing
+    const impostor = t.auth.signIn({
+      uid: "uid-impostor",
+      email: "before@example.com",
+    });
+    const theirs = await t.request("GET", "/donation-requests/my-requests", {
+      token: impostor,
+    });
+    assert.deepEqual(theirs.body, []);
+  });
+
+  it("shows internal notes and handovers to staff only", async () => {
+    const id = await createRequest();
+
+    const noted = await t.request("POST", `/donation-requests/${id}/notes`, {
+      token: volunteer.token,
+      body: { text: "Called the hospital, bed 12." },
+    });
+    assert.equal(noted.status, 201);
+    const claimed = await t.request(
+      "PATCH",
+      `/donation-requests/${id}/assignment`,
+      {
+        token: volunteer.token,
+        body: { assigneeEmail: volunteer.email, note: "Family is anxious" },
+      }
+    );
+    assert.equal(claimed.status, 200);
+
+    const forStaff = await t.request("GET", `/donation-requests/${id}`, {
+      token: volunteer.token,
+    });
+    assert.equal(forStaff.body.internalNotes.length, 1);
+
+    const forRequester = await t.request("GET", `/donation-requests/${id}`, {
+      token: requester.token,
+    });
+    assert.equal(forRequester.body.internalNotes, undefined);
+    assert.equal(forRequester.body.assignmentHistory, undefined);
+    assert.equal(forRequester.body.assignedTo.assignedBy, undefined);
+  });
+});
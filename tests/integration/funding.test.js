@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { FAKE_WEBHOOK_SIGNATURE, startTestApp } = require("./helpers");
+
+describe("funding", () => {
+  let t;
+  let donor;
+
+  before(async () => {
+    t = await startTestApp();
+    donor = await t.createUser({ email: "funder@example.com" });
+  });
+
+  after(() => t?.close());
+
+  const sendWebhook = (event, signature = FAKE_WEBHOOK_SIGNATURE) =>
+    t.request("POST", "/stripe/webhook", {
+      body: JSON.stringify(event),
+      headers: {
+        "content-type": "application/json",
+        "stripe-signature": signature,
+      },
+    });
+
+  const succeededEvent = (id, intent) => ({
+    id,
+    type: "payment_intent.succeeded",
+    data: {
+      object: {
+        id: intent.id,
+        amount: intent.amount,
+        amount_received: intent.amount,
+        currency: intent.currency,
+        created: intent.created,
+      },
+    },
+  });
+
+  it("rejects amounts below the Stripe minimum", async () => {
+    const response = await t.request("POST", "/create-payment-intent", {
+      token: donor.token,
+      body: { price: 0.2 },
+    });
+    assert.equal(response.status, 400);
+  });
+
+  it("records funding only from a signed succeeded event, once", async () => {
+    const created = await t.request("POST", "/create-payment-intent", {
+      token: donor.token,
+      body: { price: 25 },
+    });
+    assert.equal(created.status, 200);
+    const { paymentIntentId } = created.body;
+    const intent = t.payments.intents.get(paymentIntentId);
+    assert.equal(intent.amount, 2500);
+    assert.equal(intent.metadata.email, "funder@example.com");
+
+    const pending = await t.request("POST", "/funding", {
+      token: donor.token,
+      body: { paymentIntentId },
+    });
+    assert.equal(pending.status, 202);
+
+    const forged = await sendWebhook(succeededEvent("evt_1", intent), "bad");
+    assert.equal(forged.status, 400);
+
+    const received = await sendWebhook(succeededEvent("evt_1", intent));
+    assert.equal(received.status, 200);
+
+    const duplicate = await sendWebhook(succeededEvent("evt_1", intent));
+    assert.equal(duplicate.body.duplicate, true);
+
+    const recorded = await t.request("POST", "/funding", {
+      token: donor.token,
+      body: { paymentIntentId },
+    });
+    assert.equal(recorded.status, 200);
+    assert.equal(recorded.body.funding.amount, 25);
+
+    const list = await t.request("GET", "/funding", { token: donor.token });
+    assert.equal(list.body.length, 1);
+    assert.equal(list.body[0].email, "funder@example.com");
+  });
+
+  it("ignores events for intents it did not create", async () => {
+    const response = await sendWebhook(
+      succeededEvent("evt_2", {
+        id: "pi_elsewhere",
+        amount: 1000,
+        currency: "usd",
+        created: 0,
+      })
+    );
+    assert.equal(response.body.ignored, true);
+    assert.equal(await t.db.collection("funding").countDocuments(), 1);
+  });
+});
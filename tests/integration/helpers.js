@@ -0,0 +1,181 @@
+// tests/integration/helpers.js
+
+const { once } = require("events");
+const { MongoClient } = require("mongodb");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { createApp } = require("../../app");
+
+// Stands in for firebase-admin's Auth. Tokens come from `signIn` and carry
+// the user's custom claims at the time, like a real ID token would.
+const createFakeAuth = () => {
+  const tokens = new Map();
+  const accounts = new Map();
+
+  const getAccount = (uid) => {
+    if (!accounts.has(uid)) {
+      accounts.set(uid, { customClaims: {}, tokensValidAfterTime: null });
+    }
+    return accounts.get(uid);
+  };
+
+  // `authTime` (seconds) backdates the sign-in, so a revocation made in the
+  // same second still applies to the token
+  const signIn = ({ uid, email, name }, { authTime } = {}) => {
+    const token = `test-token-${tokens.size + 1}`;
+    tokens.set(token, {
+      ...getAccount(uid).customClaims,
+      uid,
+      email,
+      name,
+      auth_time: authTime ?? Math.floor(Date.now() / 1000),
+    });
+    return token;
+  };
+
+  return {
+    name: "fake",
+    signIn,
+    verifyToken: async (token) => {
+      if (!tokens.has(token)) throw new Error("Invalid token");
+      return tokens.get(token);
+    },
+    getUser: async (uid) => ({ uid, ...getAccount(uid) }),
+    setCustomUserClaims: async (uid, claims) => {
+      getAccount(uid).customClaims = { ...claims };
+    },
+    revokeRefreshTokens: async (uid) => {
+      getAccount(uid).tokensValidAfterTime = new Date().toUTCString();
+    },
+  };
+};
+
+const FAKE_WEBHOOK_SIGNATURE = "t=0,v1=test-signature";
+
+// Stands in for the Stripe client: the calls the funding routes make
+const createFakeStripe = () => {
+  const intents = new Map();
+
+  return {
+    intents,
+    paymentIntents: {
+      create: async (params) => {
+        const id = `pi_test_${intents.size + 1}`;
+        const intent = {
+          ...params,
+          id,
+          client_secret: `${id}_secret`,
+          status: "requires_payment_method",
+          created: Math.floor(Date.now() / 1000),
+        };
+        intents.set(id, intent);
+        return intent;
+      },
+    },
+    webhooks: {
+      constructEvent: (payload, signature) => {
+        if (signature !== FAKE_WEBHOOK_SIGNATURE) {
+          throw new Error("No signatures found matching the expected payload");
+        }
+        return JSON.parse(payload.toString());
+      },
+    },
+  };
+};
+
+// A "YYYY-MM-DD" date `days` from today
+const daysFromNow = (days) =>
+  new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Starts the app on a random port against a fresh in-memory MongoDB, with
+ * fake auth and Stripe clients and an email transport that keeps messages
+ * in `emails`. Call `close()` when done.
+ */
+const startTestApp = async () => {
+  const mongod = await MongoMemoryServer.create();
+  const client = await MongoClient.connect(mongod.getUri());
+  const db = client.db("bloodDB");
+  const auth = createFakeAuth();
+  const payments = createFakeStripe();
+  const emails = [];
+
+  const { app, ensureIndexes } = createApp({
+    db,
+    auth,
+    payments,
+    emailTransport: {
+      name: "test",
+      send: async (message) => {
+        emails.push(message);
+        return { messageId: `test-${emails.length}` };
+      },
+    },
+  });
+  await ensureIndexes();
+
+  const server = app.listen(0);
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Resolves to `{ status, headers, body }` with a parsed JSON body
+  const request = async (method, path, { token, body, headers } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { "content-type": "application/json" }),
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON; keep the text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  // Inserts an active user and returns it with a token for it
+  const createUser = async ({ email, role = "donor", ...fields }) => {
+    const user = {
+      uid: `uid-${email}`,
+      email,
+      name: email.split("@")[0],
+      role,
+      status: "active",
+      bloodGroup: "O+",
+      district: "Dhaka",
+      districtId: "26",
+      upazila: "Savar",
+      upazilaId: "365",
+      createdAt: new Date(),
+      ...fields,
+    };
+    const { insertedId } = await db.collection("users").insertOne(user);
+    const token = auth.signIn(user);
+    return { ...user, _id: insertedId, token };
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    server.close();
+    await client.close();
+    await mongod.stop();
+  };
+
+  return { db, auth, payments, emails, request, createUser, close };
+};
+
+module.exports = {
+  FAKE_WEBHOOK_SIGNATURE,
+  createFakeAuth,
+  createFakeStripe,
+  daysFromNow,
+  startTestApp,
+};
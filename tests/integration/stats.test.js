@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("stats", () => {
+  let t;
+  let admin;
+  let volunteer;
+  let donor;
+
+  before(async () => {
+    t = await startTestApp();
+    admin = await t.createUser({ email: "admin@example.com", role: "admin" });
+    volunteer = await t.createUser({
+      email: "volunteer@example.com",
+      role: "volunteer",
+    });
+    donor = await t.createUser({ email: "donor@example.com" });
+
+    await t.db.collection("donationRequests").insertMany([
+      { status: "pending", bloodGroup: "A+", createdAt: new Date() },
+      { status: "done", bloodGroup: "O-", createdAt: new Date() },
+    ]);
+    await t.db.collection("funding").insertMany([
+      { amount: 25, date: new Date() },
+      { amount: 10.5, date: new Date() },
+    ]);
+  });
+
+  after(() => t?.close());
+
+  it("summarizes totals for admins and volunteers", async () => {
+    const denied = await t.request("GET", "/admin-stats", {
+      token: donor.token,
+    });
+    assert.equal(denied.status, 403);
+
+    const stats = await t.request("GET", "/admin-stats", {
+      token: volunteer.token,
+    });
+    assert.equal(stats.status, 200);
+    assert.deepEqual(stats.body, {
+      totalUsers: 3,
+      totalFunding: 35.5,
+      totalRequests: 2,
+    });
+  });
+
+  it("keeps the full dashboard to admins", async () => {
+    const denied = await t.request("GET", "/dashboard-stats", {
+      token: volunteer.token,
+    });
+    assert.equal(denied.status, 403);
+
+    const stats = await t.request("GET", "/dashboard-stats", {
+      token: admin.token,
+    });
+    assert.equal(stats.status, 200);
+    assert.equal(stats.body.totalRequests, 2);
+    assert.equal(stats.body.completedDonations, 1);
+  });
+
+  it("filters the audit log", async () => {
+    await t.request("PATCH", `/update-users/role/${donor._id}`, {
+      token: admin.token,
+      body: { role: "volunteer" },
+    });
+
+    const log = await t.request(
+      "GET",
+      `/audit-log?action=user.role.update&targetId=${donor._id}`,
+      { token: admin.token }
+    );
+    assert.equal(log.status, 200);
+    assert.equal(log.body.length, 1);
+    assert.deepEqual(log.body[0].after, { role: "volunteer" });
+  });
+});
@@ -0,0 +1,211 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { daysFromNow, startTestApp } = require("./helpers");
+
+describe("users", () => {
+  let t;
+  let admin;
+
+  before(async () => {
+    t = await startTestApp();
+    admin = await t.createUser({ email: "admin@example.com", role: "admin" });
+  });
+
+  after(() => t?.close());
+
+  it("provisions a donor account from the token, ignoring a sent role", async () => {
+    const token = t.auth.signIn({ uid: "uid-new", email: "new@example.com" });
+
+    const created = await t.request("POST", "/add-user", {
+      token,
+      body: { name: "New Donor", bloodGroup: "A+", role: "admin" },
+    });
+    assert.equal(created.status, 200);
+
+    const user = await t.db.collection("users").findOne({ uid: "uid-new" });
+    assert.equal(user.email, "new@example.com");
+    assert.equal(user.role, "donor");
+    assert.equal(user.status, "active");
+
+    const role = await t.request("GET", "/get-user-role", { token });
+    assert.equal(role.status, 200);
+    assert.equal(role.body.role, "donor");
+  });
+
+  it("rejects unknown profile fields", async () => {
+    const token = t.auth.signIn({ uid: "uid-bad", email: "bad@example.com" });
+    const response = await t.request("POST", "/add-user", {
+      token,
+      body: { name: "Bad", isVerified: true },
+    });
+    assert.equal(response.status, 400);
+  });
+
+  it("validates profile updates and finds the account by uid", async () => {
+    const user = await t.createUser({ email: "profile@example.com" });
+    const profile = { name: "Profile", bloodGroup: "B+", district: "Dhaka" };
+
+    const invalid = await t.request("PATCH", "/users/profile@example.com", {
+      token: user.token,
+      body: { ...profile, bloodGroup: "Q+", phoneNumber: "call me" },
+    });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(
+      invalid.body.errors.map((error) => error.field),
+      ["bloodGroup", "phoneNumber"]
+    );
+
+    // The stored email lags behind until the next /add-user
+    const renamed = t.auth.signIn({
+      uid: user.uid,
+      email: "renamed@example.com",
+    });
+    const updated = await t.request("PATCH", "/users/renamed@example.com", {
+      token: renamed,
+      body: profile,
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.modifiedCount, 1);
+
+    const fetched = await t.request("GET", "/users/renamed@example.com", {
+      token: renamed,
+    });
+    assert.equal(fetched.body.bloodGroup, "B+");
+    assert.equal(fetched.body.email, "profile@example.com");
+  });
+
+  it("requires a token", async () => {
+    const response = await t.request("GET", "/get-users");
+    assert.equal(response.status, 401);
+  });
+
+  it("answers 403 for admin routes when the caller has no user document", async () => {
+    const token = t.auth.signIn({
+      uid: "uid-ghost",
+      email: "ghost@example.com",
+    });
+    const response = await t.request("GET", "/get-users", { token });
+    assert.equal(response.status, 403);
+  });
+
+  it("lets only admins list users", async () => {
+    const donor = await t.createUser({ email: "list-donor@example.com" });
+
+    const denied = await t.request("GET", "/get-users", { token: donor.token });
+    assert.equal(denied.status, 403);
+
+    const listed = await t.request("GET", "/get-users", { token: admin.token });
+    assert.equal(listed.status, 200);
+    const emails = listed.body.map((user) => user.email);
+    assert.ok(emails.includes("list-donor@example.com"));
+    assert.ok(!emails.includes("admin@example.com"));
+  });
+
+  it("syncs role changes into claims and revokes sessions on demotion", async () => {
+    const user = await t.createUser({ email: "helper@example.com" });
+
+    const promoted = await t.request(
+      "PATCH",
+      `/update-users/role/${user._id}`,
+      {
+        token: admin.token,
+        body: { role: "volunteer" },
+      }
+    );
+    assert.equal(promoted.status, 200);
+    assert.deepEqual(promoted.body.claims, { synced: true, revoked: false });
+    assert.equal(
+      (await t.auth.getUser(user.uid)).customClaims.role,
+      "volunteer"
+    );
+
+    // A token issued before the demotion, carrying the volunteer claim
+    const volunteerToken = t.auth.signIn(user, {
+      authTime: Math.floor(Date.now() / 1000) - 60,
+    });
+    const allowed = await t.request("GET", "/donation-requests", {
+      token: volunteerToken,
+    });
+    assert.equal(allowed.status, 200);
+
+    const demoted = await t.request("PATCH", `/update-users/role/${user._id}`, {
+      token: admin.token,
+      body: { role: "donor" },
+    });
+    assert.equal(demoted.status, 200);
+    assert.equal(demoted.body.claims.revoked, true);
+
+    const revoked = await t.request("GET", "/donation-requests", {
+      token: volunteerToken,
+    });
+    assert.equal(revoked.status, 401);
+
+    const freshToken = t.auth.signIn(user);
+    const denied = await t.request("GET", "/donation-requests", {
+      token: freshToken,
+    });
+    assert.equal(denied.status, 403);
+  });
+
+  it("flags a blocked requester's unconfirmed donations for staff", async () => {
+    const user = await t.createUser({ email: "blocked@example.com" });
+    const requests = t.db.collection("donationRequests");
+    const { insertedIds } = await requests.insertMany(
+      ["pending", "donated", "disputed"].map((status) => ({
+        requesterUid: user.uid,
+        requesterEmail: user.email,
+        status,
+        createdAt: new Date(),
+      }))
+    );
+
+    const response = await t.request(
+      "PATCH",
+      `/update-users/status/${user._id}`,
+      { token: admin.token, body: { status: "blocked" } }
+    );
+    assert.equal(response.status, 200);
+    const { canceled, flagged } = response.body.changedRequests;
+    assert.deepEqual(canceled, [insertedIds[0].toString()]);
+    assert.deepEqual(flagged.sort(), [
+      insertedIds[1].toString(),
+      insertedIds[2].toString(),
+    ]);
+
+    const donated = await requests.findOne({ _id: insertedIds[1] });
+    assert.equal(donated.status, "donated");
+    assert.equal(donated.needsFollowUp, true);
+  });
+
+  it("keeps suspended users out of active-only routes", async () => {
+    const user = await t.createUser({ email: "suspended@example.com" });
+
+    const suspended = await t.request(
+      "PATCH",
+      `/update-users/status/${user._id}`,
+      {
+        token: admin.token,
+        body: {
+          status: "suspended",
+          suspendedUntil: daysFromNow(7),
+          reason: "Repeated no-shows",
+        },
+      }
+    );
+    assert.equal(suspended.status, 200);
+
+    const blocked = await t.request("POST", "/donation-requests", {
+      token: user.token,
+      body: {},
+    });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.status, "suspended");
+
+    const role = await t.request("GET", "/get-user-role", {
+      token: user.token,
+    });
+    assert.equal(role.status, 200);
+    assert.equal(role.body.status, "suspended");
+    assert.equal(role.body.reason, "Repeated no-shows");
+  });
+});
@@ -0,0 +1,160 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const {
+  createLocalAuthProvider,
+  createAuthProviderFromEnv,
+} = require("../../services/authProviders");
+const { createUsersRouter } = require("../../routes/users");
+const { createRoleService } = require("../../services/roles");
+const { callRoute } = require("./helpers");
+
+const SECRET = "test-secret";
+
+describe("local auth provider", () => {
+  it("issues tokens it can verify, with a uid stable per email", async () => {
+    const auth = createLocalAuthProvider({ secret: SECRET });
+    const { token, uid, expiresIn } = await auth.signIn({
+      email: "donor@example.com",
+      name: "Donor",
+    });
+    assert.equal(expiresIn, 60 * 60);
+    assert.match(uid, /^local-[0-9a-f]{24}$/);
+
+    const decoded = await auth.verifyToken(token);
+    assert.equal(decoded.uid, uid);
+    assert.equal(decoded.email, "donor@example.com");
+    assert.equal(decoded.name, "Donor");
+    assert.ok(decoded.auth_time <= Date.now() / 1000);
+
+    const again = await auth.signIn({ email: "donor@example.com" });
+    assert.equal(again.uid, uid);
+  });
+
+  it("rejects tokens that are forged, foreign or expired", async () => {
+    const auth = createLocalAuthProvider({ secret: SECRET });
+    const forged = createLocalAuthProvider({ secret: "other-secret" });
+    const { token } = await forged.signIn({ email: "admin@example.com" });
+    await assert.rejects(auth.verifyToken(token));
+
+    const foreign = jwt.sign({ email: "admin@example.com" }, SECRET, {
+      subject: "uid-1",
+    });
+    await assert.rejects(auth.verifyToken(foreign));
+
+    const shortLived = createLocalAuthProvider({
+      secret: SECRET,
+      expiresInSeconds: -1,
+    });
+    const expired = await shortLived.signIn({ email: "donor@example.com" });
+    await assert.rejects(auth.verifyToken(expired.token), {
+      name: "TokenExpiredError",
+    });
+  });
+
+  it("puts custom claims into later tokens and records revocations", async () => {
+    const auth = createLocalAuthProvider({ secret: SECRET });
+    const { uid } = await auth.signIn({ email: "admin@example.com" });
+    await auth.setCustomUserClaims(uid, { role: "admin" });
+
+    const { token } = await auth.signIn({ email: "admin@example.com" });
+    const decoded = await auth.verifyToken(token);
+    assert.equal(decoded.role, "admin");
+
+    const roles = createRoleService({ auth, findUser: async () => null });
+    assert.equal((await roles.resolveRole(decoded)).role, "admin");
+
+    await auth.revokeRefreshTokens(uid);
+    const { tokensValidAfterTime } = await auth.getUser(uid);
+    assert.ok(new Date(tokensValidAfterTime) <= new Date());
+
+    // A token issued before the revocation no longer carries the role
+    const earlier = { ...decoded, auth_time: decoded.auth_time - 60 };
+    roles.invalidate(uid);
+    assert.deepEqual(await roles.resolveRole(earlier), {
+      role: null,
+      revoked: true,
+    });
+  });
+});
+
+describe("auth provider from the environment", () => {
+  it("refuses local auth in production or without a secret", () => {
+    assert.throws(
+      () =>
+        createAuthProviderFromEnv({
+          AUTH_PROVIDER: "local",
+          LOCAL_AUTH_SECRET: SECRET,
+          NODE_ENV: "production",
+        }),
+      /cannot be used in production/
+    );
+    assert.throws(
+      () => createAuthProviderFromEnv({ AUTH_PROVIDER: "local" }),
+      /requires LOCAL_AUTH_SECRET/
+    );
+  });
+
+  it("reads the token lifetime and whether login is exposed", () => {
+    const auth = createAuthProviderFromEnv({
+      AUTH_PROVIDER: "local",
+      LOCAL_AUTH_SECRET: SECRET,
+      LOCAL_AUTH_TOKEN_TTL_SECONDS: "120",
+    });
+    assert.equal(auth.name, "local");
+    assert.equal(auth.loginEnabled, false);
+    assert.equal(
+      createAuthProviderFromEnv({
+        AUTH_PROVIDER: "local",
+        LOCAL_AUTH_SECRET: SECRET,
+        LOCAL_AUTH_LOGIN_ENABLED: "true",
+      }).loginEnabled,
+      true
+    );
+  });
+});
+
+describe("local login route", () => {
+  const createRouter = (auth) => {
+    const pass = (req, res, next) => next();
+    return createUsersRouter({
+      auth,
+      verifyFirebaseToken: pass,
+      verifyAccountStatus: () => pass,
+      resolveRole: pass,
+      verifyAdmin: pass,
+    });
+  };
+
+  it("only exists when login is enabled", async () => {
+    const disabled = createRouter(createLocalAuthProvider({ secret: SECRET }));
+    await assert.rejects(
+      callRoute(disabled, "POST", "/auth/local/login"),
+      /No route/
+    );
+  });
+
+  it("signs in a valid email", async () => {
+    const auth = createLocalAuthProvider({
+      secret: SECRET,
+      loginEnabled: true,
+    });
+    const router = createRouter(auth);
+
+    const invalid = await callRoute(router, "POST", "/auth/local/login", {
+      body: { email: "not-an-email" },
+    });
+    assert.equal(invalid.status, 400);
+
+    const { status, body } = await callRoute(
+      router,
+      "POST",
+      "/auth/local/login",
+      { body: { email: "Donor@Example.com", name: "Donor" } }
+    );
+    assert.equal(status, 200);
+    const decoded = await auth.verifyToken(body.token);
+    assert.equal(decoded.email, "donor@example.com");
+    assert.equal(decoded.uid, body.uid);
+  });
+});
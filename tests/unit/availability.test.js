@@ -0,0 +1,106 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getAvailability,
+  isAvailableOn,
+  availableDonorFilter,
+  validateAvailability,
+} = require("../../utils/availability");
+const { toDonationDateParts } = require("../../schemas/donationRequest");
+const { matches } = require("./helpers");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// A local date `days` from today, like the stored period dates
+const dateIn = (days) =>
+  toDonationDateParts(new Date(Date.now() + days * DAY_IN_MS)).date;
+
+const donors = {
+  unset: {},
+  available: { availability: { available: true } },
+  off: { availability: { available: false } },
+  travelling: {
+    availability: {
+      unavailablePeriods: [
+        { from: dateIn(-1), until: dateIn(2), reason: "Travel" },
+      ],
+    },
+  },
+  later: {
+    availability: {
+      unavailablePeriods: [{ from: dateIn(5), until: dateIn(7) }],
+    },
+  },
+};
+
+describe("availability", () => {
+  it("filters donors the same way as it checks one", () => {
+    [dateIn(0), dateIn(6)].forEach((date) => {
+      const filtered = Object.keys(donors).filter((name) =>
+        matches(donors[name], availableDonorFilter(date))
+      );
+      const checked = Object.keys(donors).filter((name) =>
+        isAvailableOn(donors[name], date)
+      );
+      assert.deepEqual(filtered, checked);
+    });
+    assert.deepEqual(
+      Object.keys(donors).filter((name) => isAvailableOn(donors[name])),
+      ["unset", "available", "later"]
+    );
+    assert.equal(isAvailableOn(donors.later, dateIn(5)), false);
+    assert.equal(isAvailableOn(donors.travelling, dateIn(3)), true);
+  });
+
+  it("reports today's availability and when a period ends", () => {
+    assert.deepEqual(getAvailability(donors.travelling), {
+      available: true,
+      unavailablePeriods: donors.travelling.availability.unavailablePeriods,
+      contactHours: null,
+      availableToday: false,
+      unavailableUntil: dateIn(2),
+    });
+    assert.equal(getAvailability(donors.off).availableToday, false);
+    assert.equal(getAvailability(donors.unset).unavailableUntil, null);
+  });
+
+  it("drops ended periods and sorts the rest", () => {
+    const { value, errors } = validateAvailability({
+      unavailablePeriods: [
+        { from: dateIn(10), until: dateIn(12), reason: "  Exams " },
+        { from: dateIn(-5), until: dateIn(-2) },
+        { from: dateIn(1), until: dateIn(3) },
+      ],
+      contactHours: { start: "22:00", end: "06:00", extra: true },
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.unavailablePeriods, [
+      { from: dateIn(1), until: dateIn(3), reason: null },
+      { from: dateIn(10), until: dateIn(12), reason: "Exams" },
+    ]);
+    assert.deepEqual(value.contactHours, { start: "22:00", end: "06:00" });
+    assert.equal(
+      validateAvailability({ contactHours: null }).value.contactHours,
+      null
+    );
+  });
+
+  it("rejects malformed periods and contact hours", () => {
+    const invalid = [
+      { unavailablePeriods: "tomorrow" },
+      { unavailablePeriods: [{ from: dateIn(3), until: dateIn(1) }] },
+      { unavailablePeriods: [{ from: "2026-02-30", until: dateIn(1) }] },
+      {
+        unavailablePeriods: Array.from({ length: 11 }, () => ({
+          from: dateIn(1),
+          until: dateIn(2),
+        })),
+      },
+      { contactHours: { start: "09:00", end: "09:00" } },
+      { contactHours: { start: "9am", end: "17:00" } },
+    ];
+    invalid.forEach((data) =>
+      assert.equal(validateAvailability(data).errors.length, 1)
+    );
+  });
+});
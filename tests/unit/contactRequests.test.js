@@ -0,0 +1,288 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { createContactRequestsRouter } = require("../../routes/contactRequests");
+const {
+  contactStatusFilter,
+  withEffectiveStatus,
+} = require("../../utils/contactRequests");
+const {
+  createExpireContactRequestsJob,
+} = require("../../jobs/expireContactRequests");
+const { createCollection, callRoute, matches } = require("./helpers");
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+describe("contact requests routes", () => {
+  let collections;
+  let router;
+  let requester;
+  let donor;
+  let otherDonor;
+  let donationRequest;
+
+  const as = (user) => ({
+    firebaseUser: { uid: user.uid, email: user.email, name: user.name },
+    account: { user },
+  });
+
+  beforeEach(async () => {
+    collections = {
+      userCollection: createCollection([
+        {
+          uid: "uid-requester",
+          email: "requester@example.com",
+          name: "Requester",
+          role: "donor",
+          status: "active",
+        },
+        {
+          uid: "uid-donor",
+          email: "donor@example.com",
+          name: "Donor",
+          phoneNumber: "01700000000",
+          role: "donor",
+          status: "active",
+        },
+        {
+          uid: "uid-other-donor",
+          email: "other@example.com",
+          name: "Other Donor",
+          role: "donor",
+          status: "active",
+        },
+      ]),
+      donationRequestCollection: createCollection([
+        {
+          requesterUid: "uid-requester",
+          requesterEmail: "requester@example.com",
+          recipientName: "Rahim",
+          bloodGroup: "O+",
+          status: "pending",
+        },
+      ]),
+      // Like the partial unique index created in app.js
+      contactRequestCollection: createCollection([], {
+        unique: [
+          {
+            keys: ["donorId", "donationRequestId"],
+            filter: { status: "pending" },
+          },
+        ],
+      }),
+    };
+    [requester, donor, otherDonor] = collections.userCollection.docs;
+    [donationRequest] = collections.donationRequestCollection.docs;
+
+    router = createContactRequestsRouter({
+      ...collections,
+      notifications: {
+        notifyContactRequested: async () => {},
+        notifyContactResponded: async () => {},
+      },
+      verifyFirebaseToken: (req, res, next) => next(),
+      verifyAccountStatus: () => (req, res, next) => next(),
+    });
+  });
+
+  const send = (to = donor) =>
+    callRoute(router, "POST", "/contact-requests", {
+      ...as(requester),
+      body: {
+        donorId: to._id.toString(),
+        donationRequestId: donationRequest._id.toString(),
+      },
+    });
+
+  it("lists outgoing requests without the donor's email until accepted", async () => {
+    assert.equal((await send()).status, 201);
+    const [sent] = collections.contactRequestCollection.docs;
+
+    let listed = await callRoute(router, "GET", "/contact-requests/outgoing", {
+      ...as(requester),
+    });
+    assert.equal(listed.status, 200);
+    assert.equal(listed.headers["X-Total-Count"], "1");
+    assert.equal(listed.body[0].status, "pending");
+    assert.equal(listed.body[0].donorEmail, undefined);
+    assert.equal(listed.body[0].donorContact, undefined);
+
+    sent.status = "accepted";
+    listed = await callRoute(router, "GET", "/contact-requests/outgoing", {
+      ...as(requester),
+      query: { status: "accepted" },
+    });
+    assert.equal(listed.body.length, 1);
+    assert.deepEqual(listed.body[0].donorContact, {
+      name: "Donor",
+      email: "donor@example.com",
+      phoneNumber: "01700000000",
+    });
+
+    const theirs = await callRoute(
+      router,
+      "GET",
+      "/contact-requests/outgoing",
+      {
+        ...as(donor),
+      }
+    );
+    assert.deepEqual(theirs.body, []);
+  });
+
+  it("refuses a second request while the first is pending", async () => {
+    assert.equal((await send()).status, 201);
+    const again = await send();
+    assert.equal(again.status, 409);
+    assert.match(again.body.message, /pending/);
+  });
+
+  it("replaces a pending request that expired before the job ran", async () => {
+    assert.equal((await send()).status, 201);
+    const [stale] = collections.contactRequestCollection.docs;
+    stale.expiresAt = new Date(Date.now() - HOUR_IN_MS);
+
+    assert.equal((await send()).status, 201);
+    const statuses = collections.contactRequestCollection.docs.map(
+      (doc) => doc.status
+    );
+    assert.deepEqual(statuses, ["expired", "pending"]);
+    assert.ok(stale.expiredAt instanceof Date);
+
+    const listed = await callRoute(
+      router,
+      "GET",
+      "/contact-requests/outgoing",
+      {
+        ...as(requester),
+        query: { status: "expired" },
+      }
+    );
+    assert.deepEqual(
+      listed.body.map((item) => item._id),
+      [stale._id]
+    );
+  });
+
+  it("only lets the donor answer, and only while pending", async () => {
+    assert.equal((await send()).status, 201);
+    const [sent] = collections.contactRequestCollection.docs;
+    const path = "/contact-requests/:id";
+    const params = { id: sent._id.toString() };
+
+    const byRequester = await callRoute(router, "PATCH", path, {
+      ...as(requester),
+      params,
+      body: { decision: "accept" },
+    });
+    assert.equal(byRequester.status, 404);
+
+    const accepted = await callRoute(router, "PATCH", path, {
+      ...as(donor),
+      params,
+      body: { decision: "accept" },
+    });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.status, "accepted");
+
+    const again = await callRoute(router, "PATCH", path, {
+      ...as(donor),
+      params: { id: sent._id.toString() },
+      body: { decision: "decline" },
+    });
+    assert.equal(again.status, 409);
+    assert.equal(
+      (
+        await callRoute(router, "PATCH", path, {
+          ...as(donor),
+          params: { id: new ObjectId().toString() },
+          body: { decision: "decline" },
+        })
+      ).status,
+      404
+    );
+  });
+
+  describe("with tighter limits", () => {
+    let saved;
+    const setLimits = (limits) => {
+      saved = Object.keys(limits).map((name) => [name, process.env[name]]);
+      Object.assign(process.env, limits);
+    };
+    afterEach(() => {
+      saved.forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+    });
+
+    it("caps how many requests can be pending at once", async () => {
+      setLimits({ CONTACT_REQUEST_MAX_PENDING: "1" });
+      assert.equal((await send()).status, 201);
+
+      const capped = await send(otherDonor);
+      assert.equal(capped.status, 429);
+      assert.match(capped.body.message, /at most 1 pending/);
+
+      // An expired request no longer counts
+      collections.contactRequestCollection.docs[0].expiresAt = new Date(
+        Date.now() - HOUR_IN_MS
+      );
+      assert.equal((await send(otherDonor)).status, 201);
+    });
+
+    it("caps how many requests can be sent a day", async () => {
+      setLimits({ CONTACT_REQUEST_DAILY_LIMIT: "1" });
+      assert.equal((await send()).status, 201);
+      collections.contactRequestCollection.docs[0].status = "declined";
+
+      const capped = await send(otherDonor);
+      assert.equal(capped.status, 429);
+      assert.match(capped.body.message, /at most 1 contact requests a day/);
+    });
+  });
+});
+
+describe("contact request expiry", () => {
+  const now = new Date();
+  const past = new Date(now.getTime() - HOUR_IN_MS);
+  const future = new Date(now.getTime() + HOUR_IN_MS);
+  const requests = [
+    { status: "pending", expiresAt: future },
+    { status: "pending", expiresAt: past },
+    { status: "expired", expiresAt: past },
+    { status: "accepted", expiresAt: past },
+  ];
+
+  it("treats pending requests past their expiry as expired", () => {
+    const byStatus = (status) =>
+      requests.filter((request) =>
+        matches(request, contactStatusFilter(status, now))
+      );
+    assert.deepEqual(byStatus("pending"), [requests[0]]);
+    assert.deepEqual(byStatus("expired"), [requests[1], requests[2]]);
+    assert.deepEqual(byStatus("accepted"), [requests[3]]);
+
+    assert.deepEqual(
+      requests.map((request) => withEffectiveStatus(request, now).status),
+      ["pending", "expired", "expired", "accepted"]
+    );
+  });
+
+  it("marks expired pending requests and records the run", async () => {
+    const contactRequestCollection = createCollection(requests);
+    const jobRunCollection = createCollection();
+    const run = await createExpireContactRequestsJob({
+      contactRequestCollection,
+      jobRunCollection,
+    })();
+
+    assert.equal(run.expired, 1);
+    assert.deepEqual(
+      contactRequestCollection.docs.map((doc) => doc.status),
+      ["pending", "expired", "expired", "accepted"]
+    );
+    assert.ok(contactRequestCollection.docs[1].expiredAt instanceof Date);
+    assert.equal(jobRunCollection.docs[0].job, "expireContactRequests");
+  });
+});
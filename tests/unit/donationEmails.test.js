@@ -0,0 +1,102 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { createEmailService } = require("../../services/email");
+const { createDonationEmails } = require("../../services/email/donationEmails");
+const { createCollection } = require("./helpers");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const dateIn = (days) =>
+  new Date(Date.now() + days * DAY_IN_MS).toISOString().slice(0, 10);
+
+describe("donation emails", () => {
+  let queue;
+  let sent;
+  let donationEmails;
+
+  const request = (overrides = {}) => ({
+    _id: new ObjectId(),
+    requesterEmail: "requester@example.com",
+    requesterName: "Requester",
+    recipientName: "Rahim",
+    hospitalName: "Enam Medical College Hospital",
+    donationDate: dateIn(5),
+    donationTime: "10:30",
+    status: "inprogress",
+    ...overrides,
+  });
+  const donor = { donorName: "Donor", donorEmail: "donor@example.com" };
+
+  const queued = (kind) =>
+    queue.docs.filter((job) => job.kind === kind && job.status === "queued");
+
+  beforeEach(() => {
+    queue = createCollection();
+    sent = [];
+    donationEmails = createDonationEmails(
+      createEmailService({
+        emailQueueCollection: queue,
+        emailLogCollection: createCollection(),
+        transport: {
+          name: "test",
+          send: async (message) => {
+            sent.push(message);
+            return { messageId: `test-${sent.length}` };
+          },
+        },
+      })
+    );
+  });
+
+  it("schedules a reminder for each side when a donation is confirmed", async () => {
+    const confirmed = request();
+    await donationEmails.onConfirmed(confirmed, donor);
+
+    const reminders = queued("reminder");
+    assert.deepEqual(reminders.map((job) => job.to).sort(), [
+      "donor@example.com",
+      "requester@example.com",
+    ]);
+    assert.ok(reminders.every((job) => job.sendAt > new Date()));
+  });
+
+  it("skips reminders when the donation is too close", async () => {
+    await donationEmails.onConfirmed(
+      request({ donationDate: dateIn(0), donationTime: "00:00" }),
+      donor
+    );
+    assert.equal(queued("reminder").length, 0);
+  });
+
+  it("moves reminders with a rescheduled donation", async () => {
+    const confirmed = request();
+    await donationEmails.onConfirmed(confirmed, donor);
+    const [before] = queued("reminder");
+
+    await donationEmails.onRescheduled({
+      ...confirmed,
+      ...donor,
+      donationDate: dateIn(9),
+    });
+    const reminders = queued("reminder");
+    assert.equal(reminders.length, 2);
+    assert.ok(reminders.every((job) => job.sendAt > before.sendAt));
+    assert.equal(
+      queue.docs.filter((job) => job.status === "canceled").length,
+      2
+    );
+  });
+
+  it("does not schedule reminders for a rescheduled pending request", async () => {
+    await donationEmails.onRescheduled(request({ status: "pending" }));
+    assert.equal(queued("reminder").length, 0);
+  });
+
+  it("cancels everything still queued for a deleted request", async () => {
+    const confirmed = request();
+    await donationEmails.onConfirmed(confirmed, donor);
+    await donationEmails.onDeleted(confirmed);
+    assert.equal(queue.docs.filter((job) => job.status === "queued").length, 0);
+  });
+});
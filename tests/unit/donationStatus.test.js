@@ -0,0 +1,131 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DONATION_STATUSES,
+  STATUS_TRANSITIONS,
+  getActorRoles,
+  canTransition,
+  pickActorRole,
+} = require("../../utils/donationStatus");
+
+const request = {
+  requesterUid: "uid-requester",
+  requesterEmail: "requester@example.com",
+  donorUid: "uid-donor",
+  donorEmail: "donor@example.com",
+};
+
+describe("getActorRoles", () => {
+  it("combines ownership of the request with the user's staff role", () => {
+    assert.deepEqual(
+      getActorRoles(request, { role: "donor" }, { uid: "uid-requester" }),
+      ["requester"]
+    );
+    assert.deepEqual(
+      getActorRoles(request, { role: "volunteer" }, { uid: "uid-donor" }),
+      ["donor", "volunteer"]
+    );
+    assert.deepEqual(getActorRoles(request, null, { uid: "uid-other" }), []);
+  });
+
+  it("matches by uid, so a changed email still owns the request", () => {
+    const account = { uid: "uid-requester", email: "new@example.com" };
+    assert.deepEqual(getActorRoles(request, null, account), ["requester"]);
+    const impostor = { uid: "uid-other", email: "requester@example.com" };
+    assert.deepEqual(getActorRoles(request, null, impostor), []);
+  });
+
+  it("falls back to the email for requests saved without uids", () => {
+    const legacy = { requesterEmail: "r@example.com" };
+    assert.deepEqual(
+      getActorRoles(legacy, null, { uid: "uid-r", email: "r@example.com" }),
+      ["requester"]
+    );
+    assert.deepEqual(getActorRoles(legacy, null, { uid: "uid-r" }), []);
+  });
+});
+
+describe("canTransition", () => {
+  it("only lets the donor claim a pending request", () => {
+    assert.equal(canTransition("pending", "inprogress", ["donor"]), true);
+    assert.equal(canTransition("pending", "inprogress", ["admin"]), false);
+  });
+
+  it("lets the requester or staff cancel a pending request", () => {
+    for (const role of ["requester", "admin", "volunteer"]) {
+      assert.equal(canTransition("pending", "canceled", [role]), true);
+    }
+    assert.equal(canTransition("pending", "canceled", ["donor"]), false);
+    assert.equal(
+      pickActorRole("pending", "canceled", ["requester", "admin"]),
+      "requester"
+    );
+  });
+
+  it("keeps expiry to the scheduler", () => {
+    assert.equal(canTransition("pending", "expired", ["admin"]), false);
+    assert.equal(canTransition("pending", "expired", ["system"]), true);
+  });
+
+  it("requires the requester or staff to confirm a reported donation", () => {
+    assert.equal(canTransition("inprogress", "donated", ["donor"]), true);
+    assert.equal(canTransition("donated", "done", ["donor"]), false);
+    assert.equal(canTransition("donated", "done", ["requester"]), true);
+    assert.equal(canTransition("donated", "disputed", ["requester"]), true);
+    assert.equal(canTransition("donated", "disputed", ["admin"]), false);
+  });
+
+  it("does not let anyone skip the donor's report", () => {
+    assert.equal(
+      canTransition("inprogress", "done", [
+        "requester",
+        "donor",
+        "admin",
+        "volunteer",
+      ]),
+      false
+    );
+    assert.equal(canTransition("donated", "done", ["volunteer"]), true);
+  });
+
+  it("leaves disputes to staff", () => {
+    for (const to of ["done", "pending", "canceled"]) {
+      assert.equal(canTransition("disputed", to, ["requester"]), false);
+      assert.equal(canTransition("disputed", to, ["volunteer"]), true);
+    }
+  });
+
+  it("has no way out of a final status", () => {
+    for (const from of ["done", "canceled", "expired"]) {
+      for (const to of DONATION_STATUSES) {
+        assert.equal(canTransition(from, to, ["admin", "system"]), false);
+      }
+    }
+  });
+
+  it("rejects unknown statuses", () => {
+    assert.equal(canTransition("pending", "archived", ["admin"]), false);
+    assert.equal(canTransition("archived", "done", ["admin"]), false);
+  });
+
+  it("only targets known statuses", () => {
+    for (const targets of Object.values(STATUS_TRANSITIONS)) {
+      for (const to of Object.keys(targets)) {
+        assert.ok(DONATION_STATUSES.includes(to), to);
+      }
+    }
+  });
+});
+
+describe("pickActorRole", () => {
+  it("records the capacity that allowed the transition", () => {
+    assert.equal(
+      pickActorRole("inprogress", "pending", ["donor", "admin"]),
+      "donor"
+    );
+    assert.equal(
+      pickActorRole("donated", "done", ["donor", "volunteer"]),
+      "volunteer"
+    );
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getEligibility,
+  getEligibilityDate,
+  getDeferralDays,
+} = require("../../utils/eligibility");
+const { toDonationDateTime } = require("../../schemas/donationRequest");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+describe("eligibility", () => {
+  const now = new Date("2026-03-01T06:00:00Z");
+  const request = { donationDate: "2026-03-10", donationTime: "09:00" };
+
+  it("judges eligibility at the donation, not today", () => {
+    const donationAt = toDonationDateTime("2026-03-10", "09:00");
+    assert.deepEqual(getEligibilityDate(request, now), donationAt);
+
+    // Deferral ends between now and the donation
+    const donor = {
+      lastDonationDate: new Date(
+        now.getTime() - (getDeferralDays() - 5) * DAY_IN_MS
+      ),
+    };
+    assert.equal(getEligibility(donor, now).eligible, false);
+    assert.equal(
+      getEligibility(donor, getEligibilityDate(request, now)).eligible,
+      true
+    );
+  });
+
+  it("uses now once the donation time has passed", () => {
+    const later = new Date("2026-04-01T00:00:00Z");
+    assert.deepEqual(getEligibilityDate(request, later), later);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createEmailService } = require("../../services/email");
+const { createCollection, quietly } = require("./helpers");
+
+const MINUTE_IN_MS = 60 * 1000;
+
+describe("email queue", () => {
+  let queue;
+  let log;
+  let sent;
+  let failing;
+
+  const createService = (options = {}) =>
+    createEmailService({
+      emailQueueCollection: queue,
+      emailLogCollection: log,
+      transport: {
+        name: "test",
+        send: async (message) => {
+          if (failing) throw new Error("SMTP unavailable");
+          sent.push(message);
+          return { messageId: `test-${sent.length}` };
+        },
+      },
+      ...options,
+    });
+
+  const message = (overrides = {}) => ({
+    to: "donor@example.com",
+    template: "requestCreated",
+    data: {
+      name: "Donor",
+      request: {
+        bloodGroup: "O+",
+        recipientName: "Rahim",
+        recipientDistrict: "Dhaka",
+        donationDate: "2026-03-05",
+        donationTime: "10:00",
+      },
+    },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    queue = createCollection();
+    log = createCollection();
+    sent = [];
+    failing = false;
+  });
+
+  it("delivers due messages and logs each delivery", async () => {
+    const email = createService();
+    const id = await email.enqueue(message());
+    await email.processQueue();
+
+    const [job] = queue.docs;
+    assert.ok(job._id.equals(id));
+    assert.equal(job.status, "sent");
+    assert.equal(job.attempts, 1);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, "donor@example.com");
+    assert.equal(log.docs.length, 1);
+    assert.equal(log.docs[0].messageId, "test-1");
+    assert.equal(log.docs[0].transport, "test");
+  });
+
+  it("keeps scheduled messages until they are due", async () => {
+    const email = createService();
+    await email.enqueue(
+      message({ sendAt: new Date(Date.now() + 60 * MINUTE_IN_MS) })
+    );
+    assert.equal(await email.processQueue(), 0);
+    assert.equal(queue.docs[0].status, "queued");
+    assert.equal(sent.length, 0);
+  });
+
+  it("retries with a growing delay and gives up after the last attempt", async () => {
+    failing = true;
+    const email = createService({ maxAttempts: 2 });
+    await quietly(async () => {
+      await email.enqueue(message());
+      await email.processQueue();
+    });
+
+    const [job] = queue.docs;
+    assert.equal(job.status, "queued");
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lastError, "SMTP unavailable");
+    const delay = job.sendAt.getTime() - Date.now();
+    assert.ok(delay > 0.9 * MINUTE_IN_MS && delay <= MINUTE_IN_MS);
+
+    job.sendAt = new Date();
+    await quietly(() => email.processQueue());
+    assert.equal(job.status, "failed");
+    assert.equal(job.attempts, 2);
+    assert.equal(log.docs.length, 0);
+  });
+
+  it("takes over messages left sending by a crashed worker", async () => {
+    const email = createService();
+    await email.enqueue(
+      message({ sendAt: new Date(Date.now() + MINUTE_IN_MS) })
+    );
+    Object.assign(queue.docs[0], {
+      status: "sending",
+      lockedAt: new Date(Date.now() - 11 * MINUTE_IN_MS),
+      sendAt: new Date(Date.now() - 11 * MINUTE_IN_MS),
+    });
+    assert.equal(await email.processQueue(), 1);
+    assert.equal(queue.docs[0].status, "sent");
+    assert.equal(queue.docs[0].lockedAt, undefined);
+  });
+
+  it("never fails the caller when a message cannot be queued", async () => {
+    const email = createService();
+    assert.equal(await email.enqueue(message({ to: null })), null);
+    await quietly(async () => {
+      assert.equal(
+        await email.enqueue(message({ template: "noSuchTemplate" })),
+        null
+      );
+    });
+    assert.equal(queue.docs.length, 0);
+  });
+});
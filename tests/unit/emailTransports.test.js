@@ -0,0 +1,21 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTransportFromEnv } = require("../../services/email/transports");
+
+describe("createTransportFromEnv", () => {
+  it("uses SMTP when SMTP_HOST is set", () => {
+    const transport = createTransportFromEnv({
+      SMTP_HOST: "localhost",
+      NODE_ENV: "production",
+    });
+    assert.equal(transport.name, "smtp");
+  });
+
+  it("only prints emails to the console outside production", () => {
+    assert.equal(createTransportFromEnv({}).name, "console");
+    assert.throws(
+      () => createTransportFromEnv({ NODE_ENV: "production" }),
+      /SMTP_HOST is required/
+    );
+  });
+});
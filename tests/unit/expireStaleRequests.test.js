@@ -0,0 +1,111 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createExpireStaleRequestsJob,
+} = require("../../jobs/expireStaleRequests");
+const { createScheduler } = require("../../jobs/scheduler");
+const { createCollection } = require("./helpers");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const dateIn = (days) =>
+  new Date(Date.now() + days * DAY_IN_MS).toISOString().slice(0, 10);
+
+describe("expire stale requests job", () => {
+  let donationRequestCollection;
+  let jobRunCollection;
+  let expiredIds;
+  let job;
+
+  const request = (status, days, overrides = {}) => ({
+    status,
+    donationDate: dateIn(days),
+    donationTime: "10:00",
+    ...overrides,
+  });
+  const statuses = () =>
+    donationRequestCollection.docs.map((doc) => doc.status);
+  const flags = () =>
+    donationRequestCollection.docs.map((doc) => doc.needsFollowUp === true);
+
+  beforeEach(() => {
+    donationRequestCollection = createCollection([
+      request("pending", -2),
+      request("pending", 2),
+      request("inprogress", -10),
+      request("inprogress", -1),
+      request("donated", -10),
+      request("donated", -10, { needsFollowUp: true }),
+      request("done", -10),
+    ]);
+    jobRunCollection = createCollection();
+    expiredIds = [];
+    job = createExpireStaleRequestsJob({
+      donationRequestCollection,
+      jobRunCollection,
+      onExpired: (id) => expiredIds.push(id),
+    });
+  });
+
+  it("expires pending requests whose donation time has passed", async () => {
+    const run = await job();
+    const [stale] = donationRequestCollection.docs;
+
+    assert.deepEqual(statuses(), [
+      "expired",
+      "pending",
+      "inprogress",
+      "inprogress",
+      "donated",
+      "donated",
+      "done",
+    ]);
+    assert.ok(stale.expiredAt instanceof Date);
+    assert.equal(stale.statusHistory[0].actorRole, "system");
+    assert.deepEqual(run.expired, [stale._id]);
+    assert.deepEqual(expiredIds, [stale._id]);
+  });
+
+  it("flags requests left unconfirmed for days after the donation", async () => {
+    const run = await job();
+    const docs = donationRequestCollection.docs;
+    assert.deepEqual(flags(), [false, false, true, false, true, true, false]);
+    assert.deepEqual(run.flaggedForFollowUp, [docs[2]._id, docs[4]._id]);
+    assert.ok(docs[2].followUpFlaggedAt instanceof Date);
+  });
+
+  it("records each run and changes nothing twice", async () => {
+    await job();
+    const second = await job();
+    assert.deepEqual(second.expired, []);
+    assert.deepEqual(second.flaggedForFollowUp, []);
+    assert.deepEqual(
+      jobRunCollection.docs.map((run) => run.job),
+      ["expireStaleRequests", "expireStaleRequests"]
+    );
+    assert.equal(donationRequestCollection.docs[0].statusHistory.length, 1);
+  });
+});
+
+describe("job scheduler", () => {
+  it("lets one instance at a time run a job", async () => {
+    const jobLockCollection = createCollection();
+    const first = createScheduler({ jobLockCollection, instanceId: "one" });
+    const second = createScheduler({ jobLockCollection, instanceId: "two" });
+
+    let runs = 0;
+    const result = await first.runOnce("expire", async () => {
+      // The other instance cannot take the lease while this one holds it
+      assert.equal(await second.runOnce("expire", async () => runs++), null);
+      runs++;
+      return "done";
+    });
+    assert.equal(result, "done");
+    assert.equal(runs, 1);
+
+    // Released when the run finished
+    assert.equal(await second.runOnce("expire", async () => "next"), "next");
+    assert.equal(jobLockCollection.docs.length, 1);
+    assert.equal(jobLockCollection.docs[0].lockedBy, "two");
+  });
+});
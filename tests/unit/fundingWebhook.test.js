@@ -0,0 +1,177 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFundingRouter } = require("../../routes/funding");
+
+const SIGNATURE = "t=0,v1=valid";
+
+// Just the collection methods the webhook uses, kept in memory
+const createCollections = () => {
+  const events = new Map();
+  const intents = [];
+  const funding = [];
+  return {
+    events,
+    intents,
+    funding,
+    stripeEventCollection: {
+      insertOne: async (doc) => {
+        if (events.has(doc._id)) {
+          throw Object.assign(new Error("duplicate key"), { code: 11000 });
+        }
+        events.set(doc._id, doc);
+      },
+      deleteOne: async ({ _id }) => events.delete(_id),
+    },
+    paymentIntentCollection: {
+      findOne: async ({ paymentIntentId }) =>
+        intents.find((intent) => intent.paymentIntentId === paymentIntentId) ||
+        null,
+      updateOne: async ({ paymentIntentId, status }, { $set }) => {
+        const intent = intents.find(
+          (doc) => doc.paymentIntentId === paymentIntentId
+        );
+        if (intent && intent.status !== status.$ne) Object.assign(intent, $set);
+      },
+    },
+    fundingCollection: {
+      updateOne: async ({ paymentIntentId }, { $setOnInsert }) => {
+        if (!funding.some((doc) => doc.paymentIntentId === paymentIntentId)) {
+          funding.push({ ...$setOnInsert });
+        }
+      },
+    },
+  };
+};
+
+const payments = {
+  webhooks: {
+    constructEvent: (payload, signature, secret) => {
+      if (signature !== SIGNATURE || secret !== "whsec_test") {
+        throw new Error("No signatures found matching the expected payload");
+      }
+      return JSON.parse(payload.toString());
+    },
+  },
+};
+
+// The webhook needs no Firebase token; the other routes are not exercised
+const passThrough = (req, res, next) => next();
+
+const findHandler = (router, path) =>
+  router.stack.find((layer) => layer.route?.path === path).route.stack[0]
+    .handle;
+
+// Runs `fn` without the route's expected console.error output
+const quietly = async (fn) => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = originalError;
+  }
+};
+
+const intentEvent = (id, type, intent = {}) => ({
+  id,
+  type,
+  data: {
+    object: {
+      id: "pi_1",
+      amount: 2500,
+      amount_received: 2500,
+      currency: "usd",
+      created: 1700000000,
+      ...intent,
+    },
+  },
+});
+
+describe("Stripe webhook", () => {
+  let collections;
+  let webhook;
+
+  beforeEach(() => {
+    process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+    collections = createCollections();
+    collections.intents.push({
+      paymentIntentId: "pi_1",
+      firebaseUid: "uid-1",
+      email: "funder@example.com",
+      name: "Funder",
+      status: "created",
+    });
+    webhook = findHandler(
+      createFundingRouter({
+        ...collections,
+        payments,
+        verifyFirebaseToken: passThrough,
+        verifyAccountStatus: () => passThrough,
+      }),
+      "/stripe/webhook"
+    );
+  });
+
+  const deliver = async (event, signature = SIGNATURE) => {
+    const response = { status: 200 };
+    const res = {
+      status: (status) => ((response.status = status), res),
+      send: (body) => ((response.body = body), res),
+    };
+    const rawBody = event && Buffer.from(JSON.stringify(event));
+    await webhook({ headers: { "stripe-signature": signature }, rawBody }, res);
+    return response;
+  };
+
+  it("rejects missing and invalid signatures without recording anything", async () => {
+    const event = intentEvent("evt_1", "payment_intent.succeeded");
+    assert.equal((await deliver(event, null)).status, 400);
+    const forged = await quietly(() => deliver(event, "t=0,v1=forged"));
+    assert.equal(forged.status, 400);
+    assert.equal(collections.events.size, 0);
+    assert.equal(collections.funding.length, 0);
+  });
+
+  it("records a succeeded payment once, however often it is delivered", async () => {
+    const event = intentEvent("evt_1", "payment_intent.succeeded");
+    assert.deepEqual((await deliver(event)).body, { received: true });
+    assert.deepEqual((await deliver(event)).body, {
+      received: true,
+      duplicate: true,
+    });
+
+    assert.equal(collections.funding.length, 1);
+    assert.equal(collections.funding[0].amount, 25);
+    assert.equal(collections.funding[0].email, "funder@example.com");
+    assert.equal(collections.intents[0].status, "succeeded");
+  });
+
+  it("does not let a late failure overwrite a success", async () => {
+    await deliver(intentEvent("evt_1", "payment_intent.succeeded"));
+    await deliver(intentEvent("evt_2", "payment_intent.payment_failed"));
+    assert.equal(collections.intents[0].status, "succeeded");
+  });
+
+  it("ignores intents it did not create", async () => {
+    const response = await deliver(
+      intentEvent("evt_1", "payment_intent.succeeded", { id: "pi_other" })
+    );
+    assert.equal(response.body.ignored, true);
+    assert.equal(collections.funding.length, 0);
+  });
+
+  it("forgets a failed delivery so Stripe's retry is processed", async () => {
+    const { fundingCollection } = collections;
+    const upsert = fundingCollection.updateOne;
+    fundingCollection.updateOne = async () => {
+      throw new Error("connection reset");
+    };
+    const event = intentEvent("evt_1", "payment_intent.succeeded");
+    assert.equal((await quietly(() => deliver(event))).status, 500);
+    assert.equal(collections.events.has("evt_1"), false);
+
+    fundingCollection.updateOne = upsert;
+    assert.deepEqual((await deliver(event)).body, { received: true });
+    assert.equal(collections.funding.length, 1);
+  });
+});
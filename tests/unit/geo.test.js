@@ -0,0 +1,53 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_RADIUS_KM,
+  MIN_DONOR_RADIUS_KM,
+  distanceKm,
+  bucketDistanceKm,
+  parseRadiusQuery,
+} = require("../../utils/geo");
+
+const dhaka = { lat: "23.8103", lng: "90.4125" };
+
+describe("parseRadiusQuery", () => {
+  it("defaults the radius and returns a GeoJSON point", () => {
+    const { radius, errors } = parseRadiusQuery(dhaka);
+    assert.deepEqual(errors, []);
+    assert.equal(radius.radiusKm, DEFAULT_RADIUS_KM);
+    assert.deepEqual(radius.point.coordinates, [90.4125, 23.8103]);
+  });
+
+  it("enforces the minimum radius it is given", () => {
+    const query = { ...dhaka, radiusKm: "0.5" };
+    assert.equal(parseRadiusQuery(query).errors.length, 0);
+
+    const { radius, errors } = parseRadiusQuery(query, {
+      minRadiusKm: MIN_DONOR_RADIUS_KM,
+    });
+    assert.equal(radius, null);
+    assert.equal(errors[0].field, "radiusKm");
+  });
+
+  it("requires both coordinates", () => {
+    const { errors } = parseRadiusQuery({ lat: dhaka.lat });
+    assert.equal(errors[0].field, "lng");
+  });
+});
+
+describe("distanceKm", () => {
+  it("measures the great-circle distance", () => {
+    const chattogram = { lat: 22.3569, lng: 91.7832 };
+    const km = distanceKm({ lat: 23.8103, lng: 90.4125 }, chattogram);
+    assert.ok(km > 200 && km < 220, `${km}`);
+  });
+});
+
+describe("bucketDistanceKm", () => {
+  it("rounds up to the next step, never below one step", () => {
+    assert.equal(bucketDistanceKm(0.2), 5);
+    assert.equal(bucketDistanceKm(5), 5);
+    assert.equal(bucketDistanceKm(12.1), 15);
+    assert.equal(bucketDistanceKm(12.1, 10), 20);
+  });
+});
@@ -0,0 +1,465 @@
+// In-memory stand-ins for the parts of the MongoDB driver the routes,
+// services and jobs use, so they can be tested without a database. Only
+// the query and update operators and pipeline stages the code under test
+// needs are supported.
+
+const { ObjectId } = require("mongodb");
+
+// Copies documents the way a round trip through the driver would, keeping
+// ObjectIds and Dates (structuredClone would turn ObjectIds into objects)
+const clone = (value) => {
+  if (value instanceof ObjectId) return value;
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object" && !(value instanceof RegExp)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+// Like getPath, but a path through an array collects the values from each
+// element, as queries on `"items.field"` do
+const queryPath = (value, keys) => {
+  if (keys.length === 0) return value;
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      const found = queryPath(item, keys);
+      return found === undefined ? [] : found;
+    });
+  }
+  return queryPath(value?.[keys[0]], keys.slice(1));
+};
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!target[key] || typeof target[key] !== "object") target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => target?.[key], doc);
+  if (parent) delete parent[last];
+};
+
+const compare = (a, b) => {
+  if (a instanceof ObjectId && b instanceof ObjectId) {
+    return a.toHexString().localeCompare(b.toHexString());
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const equals = (value, expected) => {
+  if (expected instanceof ObjectId) {
+    return value instanceof ObjectId && expected.equals(value);
+  }
+  if (expected instanceof Date) {
+    return value instanceof Date && value.getTime() === expected.getTime();
+  }
+  if (expected instanceof RegExp) {
+    return typeof value === "string" && expected.test(value);
+  }
+  if (expected === null) return value === null || value === undefined;
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some((item) => equals(item, expected));
+  }
+  return value === expected;
+};
+
+const isOperatorObject = (condition) =>
+  condition &&
+  typeof condition === "object" &&
+  !(condition instanceof ObjectId) &&
+  !(condition instanceof Date) &&
+  !(condition instanceof RegExp) &&
+  Object.keys(condition).every((key) => key.startsWith("$"));
+
+const matchesCondition = (value, condition) => {
+  if (!isOperatorObject(condition)) return equals(value, condition);
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case "$eq":
+        return equals(value, operand);
+      case "$ne":
+        return !equals(value, operand);
+      case "$in":
+        return operand.some((item) => equals(value, item));
+      case "$nin":
+        return !operand.some((item) => equals(value, item));
+      case "$gt":
+        return value !== undefined && compare(value, operand) > 0;
+      case "$gte":
+        return value !== undefined && compare(value, operand) >= 0;
+      case "$lt":
+        return value !== undefined && compare(value, operand) < 0;
+      case "$lte":
+        return value !== undefined && compare(value, operand) <= 0;
+      case "$exists":
+        return (value !== undefined) === !!operand;
+      case "$type":
+        return operand === "string" ? typeof value === "string" : true;
+      case "$not":
+        return !matchesCondition(value, operand);
+      case "$elemMatch":
+        return (
+          Array.isArray(value) && value.some((item) => matches(item, operand))
+        );
+      default:
+        throw new Error(`Unsupported query operator ${op}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((clause) => matches(doc, clause));
+    if (key === "$and") {
+      return condition.every((clause) => matches(doc, clause));
+    }
+    if (key === "$nor") {
+      return !condition.some((clause) => matches(doc, clause));
+    }
+    return matchesCondition(queryPath(doc, key.split(".")), condition);
+  });
+
+const sortDocs = (docs, sort) =>
+  !sort
+    ? docs
+    : [...docs].sort((a, b) => {
+        for (const [key, direction] of Object.entries(sort)) {
+          const order = compare(getPath(a, key), getPath(b, key)) * direction;
+          if (order !== 0) return order;
+        }
+        return 0;
+      });
+
+// Applies a top-level projection, refusing to mix inclusion and exclusion
+// like MongoDB does
+const applyProjection = (doc, projection) => {
+  if (!projection) return doc;
+  const { _id, ...fields } = projection;
+  const values = Object.values(fields);
+  const included = values.filter(Boolean).length;
+  if (included > 0 && included < values.length) {
+    throw new Error("Cannot mix inclusion and exclusion in a projection");
+  }
+  if (included === 0 && !(values.length === 0 && _id)) {
+    const kept = { ...doc };
+    Object.keys(projection).forEach((key) => unsetPath(kept, key));
+    return kept;
+  }
+  return Object.fromEntries(
+    Object.entries(doc).filter(([key]) =>
+      key === "_id" ? _id !== 0 : !!fields[key]
+    )
+  );
+};
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  Object.entries(update).forEach(([op, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      switch (op) {
+        case "$set":
+          setPath(doc, path, value);
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, value);
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case "$max":
+          if (compare(value, getPath(doc, path)) > 0) {
+            setPath(doc, path, value);
+          }
+          break;
+        case "$push": {
+          const list = getPath(doc, path) || [];
+          const items = value?.$each || [value];
+          const pushed = [...list, ...items];
+          setPath(
+            doc,
+            path,
+            value?.$slice === undefined ? pushed : pushed.slice(value.$slice)
+          );
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${op}`);
+      }
+    });
+  });
+};
+
+// Evaluates a `$field` path or an object of them, as used in `$group`
+const evaluate = (doc, expression) => {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (expression && typeof expression === "object") {
+    return Object.fromEntries(
+      Object.entries(expression)
+        .map(([key, item]) => [key, evaluate(doc, item)])
+        .filter(([, value]) => value !== undefined)
+    );
+  }
+  return expression;
+};
+
+// Runs the `$match`, `$unwind` and `$group` (with `$sum`) stages
+const runPipeline = (docs, pipeline) =>
+  pipeline.reduce((current, stage) => {
+    const [[op, spec]] = Object.entries(stage);
+    switch (op) {
+      case "$match":
+        return current.filter((doc) => matches(doc, spec));
+      case "$unwind": {
+        const path = spec.slice(1);
+        return current.flatMap((doc) =>
+          (getPath(doc, path) || []).map((item) => {
+            const copy = clone(doc);
+            setPath(copy, path, item);
+            return copy;
+          })
+        );
+      }
+      case "$group": {
+        const { _id, ...accumulators } = spec;
+        const groups = new Map();
+        current.forEach((doc) => {
+          const key = evaluate(doc, _id);
+          const id = JSON.stringify(key);
+          if (!groups.has(id)) groups.set(id, { _id: key });
+          const group = groups.get(id);
+          Object.entries(accumulators).forEach(([field, { $sum }]) => {
+            group[field] = (group[field] || 0) + (evaluate(doc, $sum) || 0);
+          });
+        });
+        return [...groups.values()];
+      }
+      default:
+        throw new Error(`Unsupported pipeline stage ${op}`);
+    }
+  }, docs.map(clone));
+
+const duplicateKeyError = () =>
+  Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+/**
+ * A collection kept in an array (`collection.docs`). `_id` is unique, and
+ * `unique` optionally lists more `{ keys, filter }` indexes: documents
+ * matching `filter` may not share the values of `keys`, like a partial
+ * unique index.
+ */
+const createCollection = (docs = [], { unique = [] } = {}) => {
+  const collection = {
+    docs: docs.map((doc) => ({ _id: new ObjectId(), ...doc })),
+  };
+
+  const checkUnique = (candidate) => {
+    [{ keys: ["_id"] }, ...unique].forEach(({ keys, filter = {} }) => {
+      if (!matches(candidate, filter)) return;
+      const clash = collection.docs.some(
+        (doc) =>
+          doc !== candidate &&
+          matches(doc, filter) &&
+          keys.every((key) =>
+            equals(getPath(doc, key), getPath(candidate, key))
+          )
+      );
+      if (clash) throw duplicateKeyError();
+    });
+  };
+
+  const find = (filter, options = {}) => {
+    const state = {
+      sort: null,
+      skip: 0,
+      limit: 0,
+      projection: options.projection,
+    };
+    const cursor = {
+      sort: (sort) => ((state.sort = sort), cursor),
+      skip: (skip) => ((state.skip = skip), cursor),
+      limit: (limit) => ((state.limit = limit), cursor),
+      project: (projection) => ((state.projection = projection), cursor),
+      toArray: async () => {
+        const sorted = sortDocs(
+          collection.docs.filter((doc) => matches(doc, filter)),
+          state.sort
+        );
+        // A limit of 0 means no limit
+        const end = state.limit ? state.skip + state.limit : undefined;
+        return sorted
+          .slice(state.skip, end)
+          .map((doc) => applyProjection(clone(doc), state.projection));
+      },
+    };
+    return cursor;
+  };
+
+  // The document an upsert inserts: the filter's equality fields plus the
+  // update
+  const insertFromFilter = (filter, update) => {
+    const doc = {};
+    Object.entries(filter).forEach(([key, value]) => {
+      if (!key.startsWith("$") && !isOperatorObject(value)) {
+        setPath(doc, key, value);
+      }
+    });
+    if (doc._id === undefined) doc._id = new ObjectId();
+    applyUpdate(doc, update, { inserting: true });
+    checkUnique(doc);
+    collection.docs.push(doc);
+    return doc;
+  };
+
+  const updateMatching = (filter, update, { many, upsert }) => {
+    const targets = collection.docs.filter((doc) => matches(doc, filter));
+    const selected = many ? targets : targets.slice(0, 1);
+    if (selected.length === 0 && upsert) {
+      const doc = insertFromFilter(filter, update);
+      return { matchedCount: 0, modifiedCount: 0, upsertedId: doc._id };
+    }
+    selected.forEach((doc) => {
+      const before = clone(doc);
+      applyUpdate(doc, update);
+      try {
+        checkUnique(doc);
+      } catch (error) {
+        Object.keys(doc).forEach((key) => delete doc[key]);
+        Object.assign(doc, before);
+        throw error;
+      }
+    });
+    return {
+      matchedCount: selected.length,
+      modifiedCount: selected.length,
+      upsertedId: null,
+    };
+  };
+
+  Object.assign(collection, {
+    find,
+    findOne: async (filter, options = {}) => {
+      const [doc] = await find(filter, options).limit(1).toArray();
+      return doc || null;
+    },
+    aggregate: (pipeline) => ({
+      toArray: async () => runPipeline(collection.docs, pipeline),
+    }),
+    countDocuments: async (filter) =>
+      collection.docs.filter((doc) => matches(doc, filter)).length,
+    insertOne: async (doc) => {
+      const stored = { _id: new ObjectId(), ...clone(doc) };
+      checkUnique(stored);
+      collection.docs.push(stored);
+      return { insertedId: stored._id };
+    },
+    insertMany: async (newDocs) => {
+      const insertedIds = {};
+      for (const [index, doc] of newDocs.entries()) {
+        insertedIds[index] = (await collection.insertOne(doc)).insertedId;
+      }
+      return { insertedIds };
+    },
+    updateOne: async (filter, update, options = {}) =>
+      updateMatching(filter, update, { many: false, upsert: options.upsert }),
+    updateMany: async (filter, update) =>
+      updateMatching(filter, update, { many: true, upsert: false }),
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      const [doc] = sortDocs(
+        collection.docs.filter((item) => matches(item, filter)),
+        options.sort
+      );
+      if (!doc) {
+        if (!options.upsert) return null;
+        const inserted = insertFromFilter(filter, update);
+        return options.returnDocument === "after"
+          ? applyProjection(clone(inserted), options.projection)
+          : null;
+      }
+      const before = clone(doc);
+      applyUpdate(doc, update);
+      const result = options.returnDocument === "after" ? doc : before;
+      return applyProjection(clone(result), options.projection);
+    },
+    deleteOne: async (filter) => {
+      const index = collection.docs.findIndex((doc) => matches(doc, filter));
+      if (index === -1) return { deletedCount: 0 };
+      collection.docs.splice(index, 1);
+      return { deletedCount: 1 };
+    },
+    deleteMany: async (filter) => {
+      const before = collection.docs.length;
+      collection.docs = collection.docs.filter((doc) => !matches(doc, filter));
+      return { deletedCount: before - collection.docs.length };
+    },
+  });
+  return collection;
+};
+
+// Calls the handlers of the route registered for `method` and `path`, in
+// order, like Express would, and resolves to `{ status, body, headers }`
+const callRoute = async (router, method, path, req = {}) => {
+  const layer = router.stack.find(
+    (item) =>
+      item.route?.path === path && item.route.methods[method.toLowerCase()]
+  );
+  if (!layer) throw new Error(`No route for ${method} ${path}`);
+
+  const response = { status: 200, body: undefined, headers: {} };
+  let finished = false;
+  const res = {
+    status: (status) => ((response.status = status), res),
+    send: (body) => ((response.body = body), (finished = true), res),
+    json: (body) => res.send(body),
+    set: (name, value) => {
+      if (typeof name === "object") Object.assign(response.headers, name);
+      else response.headers[name] = value;
+      return res;
+    },
+  };
+  const request = { headers: {}, query: {}, params: {}, body: {}, ...req };
+
+  for (const { handle } of layer.route.stack) {
+    let nextCalled = false;
+    await handle(request, res, () => {
+      nextCalled = true;
+    });
+    if (finished || !nextCalled) break;
+  }
+  return response;
+};
+
+// Runs `fn` without the console.error output of expected failures
+const quietly = async (fn) => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = originalError;
+  }
+};
+
+module.exports = { createCollection, callRoute, quietly, matches };
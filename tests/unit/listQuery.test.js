@@ -0,0 +1,192 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listQuery,
+  buildListFilter,
+  findPage,
+} = require("../../utils/listQuery");
+const { createCollection } = require("./helpers");
+
+const config = {
+  sortFields: ["name", "createdAt", "urgency"],
+  defaultSort: { field: "createdAt", direction: -1 },
+  searchFields: ["name", "email"],
+  compoundSorts: { urgency: { urgencyRank: -1, donationDate: 1 } },
+};
+
+// Runs the middleware and returns `{ listQuery }` or the 400 `{ status, body }`
+const parse = (query, routeConfig = config) => {
+  const req = { query };
+  const result = {};
+  const res = {
+    status: (status) => ({
+      send: (body) => Object.assign(result, { status, body }),
+    }),
+  };
+  listQuery(routeConfig)(req, res, () => {
+    result.listQuery = req.listQuery;
+  });
+  return result;
+};
+
+const arrayCollection = (docs) => createCollection(docs);
+
+describe("listQuery", () => {
+  it("applies the defaults", () => {
+    const { listQuery: options } = parse({});
+    assert.equal(options.page, 1);
+    assert.equal(options.limit, DEFAULT_LIMIT);
+    assert.equal(options.skip, 0);
+    assert.deepEqual(options.sort, { createdAt: -1, _id: -1 });
+  });
+
+  it("caps the limit and pages by skipping", () => {
+    const { listQuery: options } = parse({ page: "3", limit: "500" });
+    assert.equal(options.limit, MAX_LIMIT);
+    assert.equal(options.skip, 2 * MAX_LIMIT);
+  });
+
+  it("rejects invalid parameters with a 400", () => {
+    const { status, body } = parse({
+      page: "0",
+      sort: "password",
+      order: "up",
+      cursor: "not-a-cursor",
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(
+      body.errors.map((error) => error.field),
+      ["page", "sort", "order", "cursor"]
+    );
+  });
+
+  it("expands compound sorts and refuses cursors for them", () => {
+    const { listQuery: options } = parse({ sort: "urgency", order: "asc" });
+    assert.deepEqual(options.sort, {
+      urgencyRank: -1,
+      donationDate: 1,
+      _id: 1,
+    });
+
+    // Not the route's default direction, which is meant for createdAt
+    assert.deepEqual(parse({ sort: "urgency" }).listQuery.sort, {
+      urgencyRank: -1,
+      donationDate: 1,
+      _id: 1,
+    });
+    assert.deepEqual(parse({ sort: "urgency", order: "desc" }).listQuery.sort, {
+      urgencyRank: 1,
+      donationDate: -1,
+      _id: -1,
+    });
+
+    const { status } = parse({ sort: "urgency", cursor: "abc" });
+    assert.equal(status, 400);
+  });
+
+  it("only returns everything by default on routes that ask for it", () => {
+    assert.equal(parse({ limit: "0" }).status, 400);
+
+    const unlimited = { ...config, unlimitedByDefault: true };
+    assert.equal(parse({}, unlimited).listQuery.limit, 0);
+    assert.equal(parse({ limit: "0" }, unlimited).listQuery.limit, 0);
+    assert.equal(parse({ limit: "5" }, unlimited).listQuery.limit, 5);
+    assert.equal(parse({ limit: "-1" }, unlimited).status, 400);
+  });
+
+  it("searches the configured fields case-insensitively", () => {
+    const { listQuery: options } = parse({ q: " a.b " });
+    const filter = buildListFilter({ status: "active" }, options);
+    assert.equal(filter.$and[0].status, "active");
+    const [name, email] = filter.$and[1].$or;
+    assert.equal(name.name.source, "a\\.b");
+    assert.equal(email.email.flags, "i");
+  });
+});
+
+describe("cursor pagination", () => {
+  // Ties on `name` are broken by _id so no document is skipped or repeated
+  const docs = ["Ava", "Ben", "Ben", "Ben", "Cal", "Dee", "Eve"].map(
+    (name, index) => ({
+      _id: new ObjectId(index.toString(16).padStart(24, "0")),
+      name,
+    })
+  );
+
+  const walk = async (query) => {
+    const collection = arrayCollection(docs);
+    const seen = [];
+    let cursor;
+    for (let round = 0; round < 10; round++) {
+      const { listQuery: options } = parse({
+        ...query,
+        ...(cursor && { cursor }),
+      });
+      const page = await findPage(collection, {}, options);
+      seen.push(...page.items.map((doc) => doc._id.toHexString()));
+      assert.equal(page.total, docs.length);
+      if (!page.nextCursor) return seen;
+      cursor = page.nextCursor;
+    }
+    throw new Error("Cursor pagination did not finish");
+  };
+
+  it("visits every document once, in order", async () => {
+    const ids = docs.map((doc) => doc._id.toHexString());
+    assert.deepEqual(
+      await walk({ sort: "name", order: "asc", limit: "2" }),
+      ids
+    );
+    assert.deepEqual(
+      await walk({ sort: "name", order: "desc", limit: "3" }),
+      [...ids].sort((a, b) => {
+        const byName = docs[parseInt(b, 16)].name.localeCompare(
+          docs[parseInt(a, 16)].name
+        );
+        return byName || b.localeCompare(a);
+      })
+    );
+  });
+
+  it("returns every document without a cursor when unlimited", async () => {
+    const { listQuery: options } = parse(
+      { sort: "name" },
+      { ...config, unlimitedByDefault: true }
+    );
+    const page = await findPage(arrayCollection(docs), {}, options);
+    assert.equal(page.items.length, docs.length);
+    assert.equal(page.nextCursor, null);
+  });
+
+  it("keeps the sort field for a cursor under either kind of projection", async () => {
+    const withSecrets = docs.map((doc) => ({ ...doc, secret: "x" }));
+    const { listQuery: options } = parse({
+      sort: "name",
+      order: "asc",
+      limit: "2",
+    });
+
+    const dropped = await findPage(arrayCollection(withSecrets), {}, options, {
+      projection: { secret: 0 },
+    });
+    assert.equal(dropped.items[0].secret, undefined);
+    assert.equal(dropped.items[0].name, "Ava");
+    assert.ok(dropped.nextCursor);
+
+    const kept = await findPage(arrayCollection(withSecrets), {}, options, {
+      projection: { _id: 1 },
+    });
+    assert.deepEqual(Object.keys(kept.items[0]).sort(), ["_id", "name"]);
+    assert.ok(kept.nextCursor);
+  });
+
+  it("does not return a cursor after a short page", async () => {
+    const { listQuery: options } = parse({ sort: "name", limit: "50" });
+    const page = await findPage(arrayCollection(docs), {}, options);
+    assert.equal(page.items.length, docs.length);
+    assert.equal(page.nextCursor, null);
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createDonationRequestsRouter,
+} = require("../../routes/donationRequests");
+const { scoreDonorMatch } = require("../../utils/matching");
+const { getDeferralDays } = require("../../utils/eligibility");
+const { toPoint } = require("../../utils/geo");
+const { createCollection, callRoute } = require("./helpers");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const dateIn = (days) =>
+  new Date(Date.now() + days * DAY_IN_MS).toISOString().slice(0, 10);
+
+const confirmedBy = (actorUid, actorEmail) => ({
+  from: "pending",
+  to: "inprogress",
+  ...(actorUid && { actorUid }),
+  actorEmail,
+  actorRole: "donor",
+});
+
+describe("match scoring", () => {
+  const now = new Date("2026-03-01T06:00:00Z");
+  const request = {
+    bloodGroup: "O+",
+    recipientDistrictId: "26",
+    donationDate: "2026-03-05",
+  };
+  const donor = (overrides = {}) => ({
+    bloodGroup: "O+",
+    districtId: "26",
+    ...overrides,
+  });
+  const score = (overrides, history) =>
+    scoreDonorMatch(donor(overrides), request, history, now);
+
+  it("scores a nearby, rested and available exact match highly", () => {
+    const match = score();
+    assert.deepEqual(match.factors, {
+      compatibility: 1,
+      location: 1,
+      availability: 1,
+      rest: 1,
+      reliability: 0.5,
+    });
+    assert.equal(match.distanceKm, 0);
+    assert.ok(match.score > 0.9);
+  });
+
+  it("ranks exact blood groups above other compatible ones", () => {
+    const universal = score({ bloodGroup: "O-" });
+    assert.ok(universal.factors.compatibility < 1);
+    assert.ok(universal.score < score().score);
+  });
+
+  it("counts availability on the donation date", () => {
+    const away = score({
+      availability: {
+        unavailablePeriods: [{ from: "2026-03-04", until: "2026-03-06" }],
+      },
+    });
+    assert.equal(away.factors.availability, 0);
+    assert.equal(
+      score({ availability: { available: false } }).factors.availability,
+      0
+    );
+  });
+
+  it("rewards rest and a history of completed donations", () => {
+    const lastDonationDate = new Date(
+      now.getTime() - getDeferralDays() * DAY_IN_MS
+    );
+    assert.equal(score({ lastDonationDate }).factors.rest, 0.5);
+    assert.equal(
+      score({}, { confirmed: 4, completed: 4 }).factors.reliability,
+      0.83
+    );
+    assert.equal(
+      score({}, { confirmed: 4, completed: 0 }).factors.reliability,
+      0.17
+    );
+  });
+
+  it("leaves out donors beyond the match radius", () => {
+    const located = { ...request, location: toPoint(23.81, 90.41) };
+    const far = donor({ location: toPoint(22.35, 91.78) });
+    assert.equal(scoreDonorMatch(far, located, undefined, now), null);
+  });
+});
+
+describe("donor matches", () => {
+  it("keeps a donor's reliability history across an email change", async () => {
+    const userCollection = createCollection([
+      {
+        uid: "uid-donor",
+        email: "new@example.com",
+        name: "Donor",
+        role: "donor",
+        status: "active",
+        bloodGroup: "O+",
+        districtId: "26",
+      },
+    ]);
+    const donationRequestCollection = createCollection([
+      {
+        requesterUid: "uid-requester",
+        requesterEmail: "requester@example.com",
+        recipientDistrictId: "26",
+        bloodGroup: "O+",
+        donationDate: dateIn(3),
+        donationTime: "10:00",
+        status: "pending",
+      },
+      // Completed before the donor changed their email
+      {
+        status: "done",
+        donorUid: "uid-donor",
+        donorEmail: "old@example.com",
+        statusHistory: [confirmedBy("uid-donor", "old@example.com")],
+      },
+      // Confirmed under the old email, then released
+      {
+        status: "pending",
+        statusHistory: [confirmedBy("uid-donor", "old@example.com")],
+      },
+      // Recorded before uids were stored
+      {
+        status: "done",
+        donorEmail: "new@example.com",
+        statusHistory: [confirmedBy(null, "new@example.com")],
+      },
+      // Someone who held the address earlier
+      {
+        status: "inprogress",
+        donorUid: "uid-previous",
+        donorEmail: "new@example.com",
+        statusHistory: [confirmedBy("uid-previous", "new@example.com")],
+      },
+    ]);
+    const [request] = donationRequestCollection.docs;
+
+    const pass = (req, res, next) => next();
+    const router = createDonationRequestsRouter({
+      userCollection,
+      donationRequestCollection,
+      verifyFirebaseToken: pass,
+      tokenFromQuery: pass,
+      verifyAccountStatus: () => pass,
+      verifyAdminOrVolunteer: pass,
+      resolveRole: (req, res, next) => {
+        req.role = "volunteer";
+        next();
+      },
+    });
+
+    const { status, body } = await callRoute(
+      router,
+      "GET",
+      "/donation-requests/:id/matches",
+      {
+        firebaseUser: { uid: "uid-staff", email: "staff@example.com" },
+        params: { id: request._id.toString() },
+      }
+    );
+    assert.equal(status, 200);
+    assert.equal(body.length, 1);
+    assert.deepEqual(body[0].history, { confirmed: 3, completed: 2 });
+  });
+});
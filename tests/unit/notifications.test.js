@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { createNotificationService } = require("../../services/notifications");
+const { createCollection, quietly } = require("./helpers");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const dateIn = (days) =>
+  new Date(Date.now() + days * DAY_IN_MS).toISOString().slice(0, 10);
+
+describe("notification targeting", () => {
+  let notificationCollection;
+  let userCollection;
+  let notifications;
+
+  const donor = (uid, overrides = {}) => ({
+    uid,
+    email: `${uid}@example.com`,
+    role: "donor",
+    status: "active",
+    bloodGroup: "O+",
+    districtId: "26",
+    ...overrides,
+  });
+
+  const request = (overrides = {}) => ({
+    _id: new ObjectId(),
+    requesterUid: "requester",
+    requesterEmail: "old-address@example.com",
+    recipientName: "Rahim",
+    recipientDistrict: "Dhaka",
+    recipientDistrictId: "26",
+    bloodGroup: "O+",
+    donationDate: dateIn(5),
+    donationTime: "10:00",
+    urgency: "normal",
+    ...overrides,
+  });
+
+  const notified = () =>
+    notificationCollection.docs.map((doc) => doc.recipientUid).sort();
+
+  beforeEach(() => {
+    notificationCollection = createCollection();
+    userCollection = createCollection([
+      donor("match"),
+      donor("incompatible", { bloodGroup: "A+" }),
+      donor("blocked", { status: "blocked" }),
+      donor("volunteer", { role: "volunteer" }),
+      donor("opted-out", {
+        notificationPreferences: { request_created: false },
+      }),
+      donor("away", {
+        availability: {
+          unavailablePeriods: [{ from: dateIn(4), until: dateIn(6) }],
+        },
+      }),
+      donor("deferred", { lastDonationDate: new Date() }),
+      donor("requester"),
+      donor("neighbour", { districtId: "67" }),
+    ]);
+    notifications = createNotificationService({
+      notificationCollection,
+      userCollection,
+    });
+  });
+
+  it("sends a new request to eligible, available compatible donors nearby", async () => {
+    assert.equal(await notifications.notifyRequestCreated(request()), 1);
+    assert.deepEqual(notified(), ["match"]);
+    const [notification] = notificationCollection.docs;
+    assert.equal(notification.type, "request_created");
+    assert.equal(notification.recipientEmail, "match@example.com");
+    assert.equal(notification.read, false);
+  });
+
+  it("reaches neighbouring districts for critical requests", async () => {
+    await notifications.notifyRequestCreated(request({ urgency: "critical" }));
+    assert.deepEqual(notified(), ["match", "neighbour"]);
+    assert.match(notificationCollection.docs[0].title, /^CRITICAL: /);
+  });
+
+  it("finds the requester by uid and respects their preferences", async () => {
+    assert.equal(
+      await notifications.notifyRequestConfirmed(request(), "Donor"),
+      1
+    );
+    assert.deepEqual(notified(), ["requester"]);
+
+    userCollection.docs.find(
+      (user) => user.uid === "requester"
+    ).notificationPreferences = { request_completed: false };
+    assert.equal(await notifications.notifyRequestCompleted(request()), 0);
+  });
+
+  it("never fails the caller", async () => {
+    notificationCollection.insertMany = async () => {
+      throw new Error("insert failed");
+    };
+    await quietly(async () => {
+      assert.equal(await notifications.notifyRequestCreated(request()), 0);
+      assert.equal(await notifications.notifyRequestCanceled(request()), 0);
+    });
+  });
+});
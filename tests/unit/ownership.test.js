@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ownerFilter,
+  isOwner,
+  ownerFields,
+  partyUserFilter,
+} = require("../../utils/ownership");
+
+const account = { uid: "uid-1", email: "one@example.com" };
+
+describe("ownerFilter", () => {
+  it("matches by uid, or by email on records saved without one", () => {
+    assert.deepEqual(ownerFilter("requester", account), {
+      $or: [
+        { requesterUid: "uid-1" },
+        { requesterEmail: "one@example.com", requesterUid: { $exists: false } },
+      ],
+    });
+  });
+
+  it("uses the nested fields of an assignment", () => {
+    assert.deepEqual(ownerFilter("assignee", { uid: "uid-1" }), {
+      "assignedTo.uid": "uid-1",
+    });
+  });
+
+  it("matches nothing without a uid or email", () => {
+    assert.deepEqual(ownerFilter("donor", {}), { _id: null });
+  });
+});
+
+describe("isOwner", () => {
+  it("prefers the stored uid over the email", () => {
+    const record = { donorUid: "uid-1", donorEmail: "old@example.com" };
+    assert.equal(isOwner("donor", record, account), true);
+    assert.equal(
+      isOwner("donor", record, { uid: "uid-2", email: "old@example.com" }),
+      false
+    );
+  });
+
+  it("is false for a record without that party", () => {
+    assert.equal(isOwner("donor", {}, account), false);
+    assert.equal(isOwner("assignee", { assignedTo: null }, account), false);
+  });
+});
+
+describe("ownerFields and partyUserFilter", () => {
+  it("stores the uid when the user has one", () => {
+    assert.deepEqual(ownerFields("donor", account), {
+      donorUid: "uid-1",
+      donorEmail: "one@example.com",
+    });
+    assert.deepEqual(ownerFields("donor", { email: "legacy@example.com" }), {
+      donorEmail: "legacy@example.com",
+    });
+  });
+
+  it("finds the party's user document by uid, then email", () => {
+    assert.deepEqual(
+      partyUserFilter("donor", { donorUid: "uid-1", donorEmail: "x" }),
+      { uid: "uid-1" }
+    );
+    assert.deepEqual(partyUserFilter("requester", { requesterEmail: "x" }), {
+      email: "x",
+    });
+    assert.equal(partyUserFilter("assignee", {}), null);
+  });
+});
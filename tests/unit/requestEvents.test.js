@@ -0,0 +1,173 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  INTERNAL_PROJECTION,
+  createRequestEventHub,
+  toVisibleRequest,
+  withoutInternalFields,
+} = require("../../services/requestEvents");
+
+const request = {
+  _id: "r1",
+  recipientName: "Rahim",
+  bloodGroup: "O+",
+  status: "pending",
+  requesterUid: "uid-requester",
+  requesterEmail: "requester@example.com",
+  internalNotes: [{ text: "Called the hospital" }],
+  assignedTo: {
+    email: "volunteer@example.com",
+    name: "Volunteer",
+    assignedBy: "admin@example.com",
+  },
+  assignmentHistory: [{ to: "volunteer@example.com", note: "Handover" }],
+};
+
+describe("withoutInternalFields", () => {
+  it("drops staff notes, handover history and who assigned the case", () => {
+    const visible = withoutInternalFields(request);
+    assert.equal(visible.internalNotes, undefined);
+    assert.equal(visible.assignmentHistory, undefined);
+    assert.deepEqual(visible.assignedTo, {
+      email: "volunteer@example.com",
+      name: "Volunteer",
+    });
+    assert.equal(request.assignedTo.assignedBy, "admin@example.com");
+  });
+
+  it("projects the same fields away in queries", () => {
+    assert.deepEqual(INTERNAL_PROJECTION, {
+      internalNotes: 0,
+      assignmentHistory: 0,
+      "assignedTo.assignedBy": 0,
+    });
+  });
+});
+
+describe("toVisibleRequest", () => {
+  it("shows staff everything, the requester their request, others the public fields", () => {
+    assert.equal(toVisibleRequest(request, { role: "volunteer" }), request);
+
+    const forRequester = toVisibleRequest(request, { uid: "uid-requester" });
+    assert.equal(forRequester.requesterEmail, "requester@example.com");
+    assert.equal(forRequester.assignmentHistory, undefined);
+
+    const forOthers = toVisibleRequest(request, { uid: "uid-other" });
+    assert.deepEqual(Object.keys(forOthers), [
+      "_id",
+      "recipientName",
+      "bloodGroup",
+      "status",
+    ]);
+  });
+});
+
+describe("request event hub", () => {
+  // An SSE response that keeps what was written, parsed into events
+  const createResponse = () => {
+    const chunks = [];
+    return {
+      write: (chunk) => chunks.push(chunk),
+      events: () =>
+        chunks.map((chunk) => {
+          const fields = Object.fromEntries(
+            chunk
+              .trim()
+              .split("\n")
+              .map((line) => [
+                line.slice(0, line.indexOf(":")),
+                line.slice(line.indexOf(":") + 2),
+              ])
+          );
+          return { ...fields, data: JSON.parse(fields.data) };
+        }),
+    };
+  };
+
+  it("sends each subscriber the events as they see them", () => {
+    const hub = createRequestEventHub();
+    const staff = createResponse();
+    const stranger = createResponse();
+    hub.subscribe(staff, { role: "admin" });
+    const unsubscribe = hub.subscribe(stranger, { uid: "uid-other" });
+
+    hub.publish("created", request);
+    assert.equal(staff.events()[0].event, "donation-request.created");
+    assert.deepEqual(staff.events()[0].data.request.internalNotes, [
+      { text: "Called the hospital" },
+    ]);
+    assert.equal(stranger.events()[0].data.request.internalNotes, undefined);
+
+    unsubscribe();
+    hub.publish("updated", request);
+    assert.equal(stranger.events().length, 1);
+    assert.equal(hub.clientCount(), 1);
+  });
+
+  it("replays what a client missed after its Last-Event-ID", () => {
+    const hub = createRequestEventHub();
+    const first = createResponse();
+    hub.subscribe(first, { role: "admin" });
+    ["created", "confirmed", "updated"].forEach((type) =>
+      hub.publish(type, request)
+    );
+    const [seen] = first.events();
+
+    const reconnected = createResponse();
+    hub.subscribe(reconnected, { role: "admin" }, seen.id);
+    assert.deepEqual(
+      reconnected.events().map((event) => event.event),
+      ["donation-request.confirmed", "donation-request.updated"]
+    );
+    assert.deepEqual(
+      reconnected.events().map((event) => event.id),
+      first
+        .events()
+        .slice(1)
+        .map((event) => event.id)
+    );
+  });
+
+  it("asks the client to refetch when the missed events are gone", () => {
+    const hub = createRequestEventHub({ bufferSize: 2 });
+    const first = createResponse();
+    hub.subscribe(first, { role: "admin" });
+    ["created", "confirmed", "updated", "deleted"].forEach((type) =>
+      hub.publish(type, request)
+    );
+
+    const tooOld = createResponse();
+    hub.subscribe(tooOld, {}, first.events()[0].id);
+    assert.deepEqual(
+      tooOld.events().map((event) => event.event),
+      ["reset"]
+    );
+
+    // An ID from before a restart
+    const restarted = createResponse();
+    createRequestEventHub().subscribe(restarted, {}, first.events()[2].id);
+    assert.equal(restarted.events()[0].event, "reset");
+
+    // Only missing events that are still buffered is fine
+    const caughtUp = createResponse();
+    hub.subscribe(caughtUp, { role: "admin" }, first.events()[1].id);
+    assert.deepEqual(
+      caughtUp.events().map((event) => event.event),
+      ["donation-request.updated", "donation-request.deleted"]
+    );
+  });
+
+  it("drops clients whose connection fails", () => {
+    const hub = createRequestEventHub();
+    hub.subscribe(
+      {
+        write: () => {
+          throw new Error("socket closed");
+        },
+      },
+      {}
+    );
+    hub.publish("deleted", { _id: "r1" });
+    assert.equal(hub.clientCount(), 0);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRoleService } = require("../../services/roles");
+
+const SIGNED_IN_AT = 1700000000;
+
+// An auth provider and user store that count their reads
+const createFakes = ({ role = "donor", validSince = null } = {}) => {
+  const calls = { getUser: 0, findUser: 0 };
+  const state = { role, validSince, claims: {} };
+  const auth = {
+    getUser: async () => {
+      calls.getUser += 1;
+      return {
+        customClaims: state.claims,
+        tokensValidAfterTime: state.validSince,
+      };
+    },
+    setCustomUserClaims: async (uid, claims) => {
+      state.claims = claims;
+    },
+    revokeRefreshTokens: async () => {
+      state.validSince = new Date().toUTCString();
+    },
+  };
+  const findUser = async () => {
+    calls.findUser += 1;
+    return { role: state.role };
+  };
+  return { calls, state, auth, findUser };
+};
+
+const token = (role) => ({
+  uid: "uid-1",
+  auth_time: SIGNED_IN_AT,
+  ...(role && { role }),
+});
+
+describe("role service", () => {
+  it("checks a privileged claim against the loaded user without any reads", async () => {
+    const { calls, auth, findUser } = createFakes();
+    const roles = createRoleService({ auth, findUser });
+
+    assert.deepEqual(
+      await roles.resolveRole(token("admin"), { role: "admin" }),
+      {
+        role: "admin",
+        revoked: false,
+      }
+    );
+    assert.equal(
+      (await roles.resolveRole(token(), { role: "volunteer" })).role,
+      "volunteer"
+    );
+
+    // Demoted on another instance: the stored role already says so
+    assert.deepEqual(
+      await roles.resolveRole(token("admin"), { role: "donor" }),
+      {
+        role: null,
+        revoked: true,
+      }
+    );
+    const { allowed, revoked } = await roles.checkRole(
+      token("admin"),
+      ["admin"],
+      null
+    );
+    assert.equal(allowed, false);
+    assert.equal(revoked, true);
+    assert.deepEqual(calls, { getUser: 0, findUser: 0 });
+  });
+
+  it("caches the revocation time briefly when no user is loaded", async () => {
+    const { calls, state, auth, findUser } = createFakes();
+    const roles = createRoleService({ auth, findUser });
+
+    assert.deepEqual(await roles.resolveRole(token("admin")), {
+      role: "admin",
+      revoked: false,
+    });
+    await roles.resolveRole(token("admin"));
+    assert.equal(calls.getUser, 1);
+
+    state.validSince = new Date((SIGNED_IN_AT + 60) * 1000).toUTCString();
+    roles.invalidate("uid-1");
+    assert.deepEqual(await roles.resolveRole(token("admin")), {
+      role: null,
+      revoked: true,
+    });
+    assert.equal(calls.getUser, 2);
+
+    const uncached = createRoleService({
+      auth,
+      findUser,
+      revocationCacheTtlMs: 0,
+    });
+    await uncached.resolveRole(token("admin"));
+    await uncached.resolveRole(token("admin"));
+    assert.equal(calls.getUser, 4);
+    assert.equal(calls.findUser, 0);
+  });
+
+  it("trusts an unprivileged claim without asking the auth provider", async () => {
+    const { calls, auth, findUser } = createFakes();
+    const roles = createRoleService({ auth, findUser });
+    assert.equal((await roles.resolveRole(token("donor"))).role, "donor");
+    const { allowed } = await roles.checkRole(token("donor"), ["admin"]);
+    assert.equal(allowed, false);
+    assert.equal(calls.getUser, 0);
+  });
+
+  it("only caches unprivileged roles read from the database", async () => {
+    const { calls, state, auth, findUser } = createFakes();
+    const roles = createRoleService({ auth, findUser });
+
+    await roles.resolveRole(token());
+    await roles.resolveRole(token());
+    assert.equal(calls.findUser, 1);
+
+    roles.invalidate("uid-1");
+    state.role = "volunteer";
+    assert.equal((await roles.resolveRole(token())).role, "volunteer");
+    state.role = "donor";
+    assert.equal((await roles.resolveRole(token())).role, "donor");
+    assert.equal(calls.findUser, 3);
+  });
+
+  it("revokes tokens when a role loses privileges", async () => {
+    const { state, auth, findUser } = createFakes();
+    const roles = createRoleService({ auth, findUser });
+
+    state.claims = { role: "admin" };
+    assert.deepEqual(await roles.syncRole({ uid: "uid-1" }, "donor", "admin"), {
+      synced: true,
+      revoked: true,
+    });
+    assert.deepEqual(state.claims, { role: "donor" });
+    assert.deepEqual(await roles.syncRole({}, "admin", "donor"), {
+      synced: false,
+      revoked: false,
+    });
+  });
+});
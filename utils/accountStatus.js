@@ -0,0 +1,60 @@
+// utils/accountStatus.js
+
+const ACCOUNT_STATUSES = ["active", "blocked", "suspended"];
+
+// Which account statuses each route policy lets through. Every
+// authenticated route names one of these.
+const ACCESS_POLICIES = {
+  // Acting on the platform: creating, confirming, editing, paying
+  active: ["active"],
+  // Browsing shared data such as donation requests, blogs and funding
+  browse: ["active", "suspended"],
+  // Reading your own profile, requests and notifications, so restricted
+  // users can see their status and what they hold
+  ownAccount: ["active", "suspended", "blocked"],
+};
+
+/**
+ * The status that applies to a user right now. `suspended` is temporary and
+ * ends at `suspendedUntil`; from then on the user counts as active even
+ * before the scheduler clears the stored status. Blocking has no end date.
+ */
+const getAccountStatus = (user, now = new Date()) => {
+  const status = user?.status || "active";
+  if (
+    status === "suspended" &&
+    user.suspendedUntil &&
+    new Date(user.suspendedUntil) <= now
+  ) {
+    return { status: "active", suspendedUntil: null, reason: null };
+  }
+  return {
+    status,
+    suspendedUntil: status === "suspended" ? user.suspendedUntil : null,
+    reason: status === "active" ? null : user?.statusReason || null,
+  };
+};
+
+const isAllowedByPolicy = (policy, status) =>
+  (ACCESS_POLICIES[policy] || ACCESS_POLICIES.active).includes(status);
+
+// 403 body for a user the route policy turns away
+const accountRestrictedResponse = ({ status, suspendedUntil, reason }) => ({
+  message:
+    status === "suspended"
+      ? `Access Denied: Your account is suspended until ${new Date(
+          suspendedUntil
+        ).toISOString()}.`
+      : "Access Denied: Your account is blocked.",
+  status,
+  suspendedUntil,
+  reason,
+});
+
+module.exports = {
+  ACCOUNT_STATUSES,
+  ACCESS_POLICIES,
+  getAccountStatus,
+  isAllowedByPolicy,
+  accountRestrictedResponse,
+};
@@ -0,0 +1,131 @@
+// utils/availability.js
+
+const { validate, isValidCalendarDate } = require("./validate");
+const { toDonationDateParts } = require("../schemas/donationRequest");
+
+const MAX_UNAVAILABLE_PERIODS = 10;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Today's date in donation local time, comparable with period dates
+const localToday = (now = new Date()) => toDonationDateParts(now).date;
+
+const isInPeriod = (period, date) =>
+  period.from <= date && period.until >= date;
+
+const isAvailableOn = (user, date = localToday()) => {
+  const availability = user?.availability || {};
+  if (availability.available === false) return false;
+  return !(availability.unavailablePeriods || []).some((period) =>
+    isInPeriod(period, date)
+  );
+};
+
+/**
+ * A donor's availability settings plus whether they can be contacted today.
+ * `available: false` means unavailable until switched back on; dated
+ * `unavailablePeriods` cover trips, illness and the like.
+ */
+const getAvailability = (user, now = new Date()) => {
+  const today = localToday(now);
+  const availability = user?.availability || {};
+  const currentPeriod = (availability.unavailablePeriods || []).find((period) =>
+    isInPeriod(period, today)
+  );
+
+  return {
+    available: availability.available !== false,
+    unavailablePeriods: availability.unavailablePeriods || [],
+    contactHours: availability.contactHours || null,
+    availableToday: isAvailableOn(user, today),
+    unavailableUntil: currentPeriod ? currentPeriod.until : null,
+  };
+};
+
+// Mongo filter for donors who are available on `date` (YYYY-MM-DD)
+const availableDonorFilter = (date = localToday()) => ({
+  "availability.available": { $ne: false },
+  "availability.unavailablePeriods": {
+    $not: { $elemMatch: { from: { $lte: date }, until: { $gte: date } } },
+  },
+});
+
+const checkPeriods = (periods) => {
+  if (!Array.isArray(periods)) {
+    return "Unavailable periods must be a list.";
+  }
+  if (periods.length > MAX_UNAVAILABLE_PERIODS) {
+    return `At most ${MAX_UNAVAILABLE_PERIODS} unavailable periods are allowed.`;
+  }
+  const invalid = periods.find(
+    (period) =>
+      !period ||
+      !isValidCalendarDate(period.from) ||
+      !isValidCalendarDate(period.until) ||
+      period.from > period.until ||
+      (period.reason !== undefined &&
+        (typeof period.reason !== "string" || period.reason.length > 100))
+  );
+  if (invalid) {
+    return "Each unavailable period needs `from` and `until` dates in YYYY-MM-DD format, in order, and an optional short `reason`.";
+  }
+  return null;
+};
+
+const checkContactHours = (hours) => {
+  if (
+    typeof hours !== "object" ||
+    !TIME_PATTERN.test(hours.start) ||
+    !TIME_PATTERN.test(hours.end) ||
+    hours.start === hours.end
+  ) {
+    return "Contact hours need different `start` and `end` times in HH:mm format.";
+  }
+  return null;
+};
+
+const availabilitySchema = {
+  fields: {
+    available: { type: "boolean", label: "Available" },
+    unavailablePeriods: {
+      label: "Unavailable periods",
+      validate: checkPeriods,
+    },
+    // `end` before `start` means the window runs past midnight
+    contactHours: { label: "Contact hours", validate: checkContactHours },
+  },
+  validate: (value) => {
+    if (value.unavailablePeriods) {
+      // Periods that have already ended are dropped
+      const today = localToday();
+      value.unavailablePeriods = value.unavailablePeriods
+        .filter((period) => period.until >= today)
+        .map(({ from, until, reason }) => ({
+          from,
+          until,
+          reason: reason?.trim() || null,
+        }))
+        .sort((a, b) => a.from.localeCompare(b.from));
+    }
+    if (value.contactHours) {
+      const { start, end } = value.contactHours;
+      value.contactHours = { start, end };
+    }
+    return [];
+  },
+};
+
+// Validates an availability update. `contactHours: null` clears them.
+const validateAvailability = (data) => {
+  const result = validate(availabilitySchema, data, { partial: true });
+  if (result.errors.length === 0 && data?.contactHours === null) {
+    result.value.contactHours = null;
+  }
+  return result;
+};
+
+module.exports = {
+  getAvailability,
+  isAvailableOn,
+  availableDonorFilter,
+  validateAvailability,
+};
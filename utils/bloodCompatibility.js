@@ -0,0 +1,41 @@
+// utils/bloodCompatibility.js
+
+const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+
+// Red cell compatibility (ABO/Rh). Each recipient's donor list is ordered by
+// preference: the exact group first, then the closest groups, and the
+// universal donor (O-) always last so it is saved for when nothing else fits.
+const COMPATIBLE_DONORS = {
+  "A+": ["A+", "A-", "O+", "O-"],
+  "A-": ["A-", "O-"],
+  "B+": ["B+", "B-", "O+", "O-"],
+  "B-": ["B-", "O-"],
+  "AB+": ["AB+", "AB-", "A+", "A-", "B+", "B-", "O+", "O-"],
+  "AB-": ["AB-", "A-", "B-", "O-"],
+  "O+": ["O+", "O-"],
+  "O-": ["O-"],
+};
+
+const isValidBloodGroup = (group) => BLOOD_GROUPS.includes(group);
+
+// Donor groups that can give to the recipient, in ranking order
+const getCompatibleDonorGroups = (recipientGroup) =>
+  COMPATIBLE_DONORS[recipientGroup] || [];
+
+// Recipient groups a donor can give to
+const getCompatibleRecipientGroups = (donorGroup) =>
+  BLOOD_GROUPS.filter((recipient) =>
+    COMPATIBLE_DONORS[recipient].includes(donorGroup)
+  );
+
+const canDonateTo = (donorGroup, recipientGroup) =>
+  getCompatibleDonorGroups(recipientGroup).includes(donorGroup);
+
+module.exports = {
+  BLOOD_GROUPS,
+  COMPATIBLE_DONORS,
+  isValidBloodGroup,
+  getCompatibleDonorGroups,
+  getCompatibleRecipientGroups,
+  canDonateTo,
+};
@@ -0,0 +1,60 @@
+// utils/contactRequests.js
+
+const { readPositiveInt } = require("./env");
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+const CONTACT_REQUEST_STATUSES = ["pending", "accepted", "declined", "expired"];
+
+// Limits are per requester and overridable per deployment
+const getContactRequestLimits = () => ({
+  expiryHours: readPositiveInt("CONTACT_REQUEST_EXPIRY_HOURS", 48),
+  maxPending: readPositiveInt("CONTACT_REQUEST_MAX_PENDING", 10),
+  dailyLimit: readPositiveInt("CONTACT_REQUEST_DAILY_LIMIT", 20),
+});
+
+const getContactRequestExpiry = (now = new Date()) =>
+  new Date(now.getTime() + getContactRequestLimits().expiryHours * HOUR_IN_MS);
+
+// Filter for contact requests in `status`. Pending requests past their
+// expiry count as expired even before the expiry job has marked them.
+const contactStatusFilter = (status, now = new Date()) => {
+  if (status === "pending") {
+    return { status: "pending", expiresAt: { $gt: now } };
+  }
+  if (status === "expired") {
+    return {
+      $or: [
+        { status: "expired" },
+        { status: "pending", expiresAt: { $lte: now } },
+      ],
+    };
+  }
+  return { status };
+};
+
+const withEffectiveStatus = (contactRequest, now = new Date()) =>
+  contactRequest.status === "pending" && contactRequest.expiresAt <= now
+    ? { ...contactRequest, status: "expired" }
+    : contactRequest;
+
+// Donation request details shown to the donor deciding on a contact request
+const summarizeDonationRequest = (request) => ({
+  recipientName: request.recipientName,
+  bloodGroup: request.bloodGroup,
+  hospitalName: request.hospitalName,
+  recipientDistrict: request.recipientDistrict,
+  recipientUpazila: request.recipientUpazila,
+  donationDate: request.donationDate,
+  donationTime: request.donationTime,
+  urgency: request.urgency,
+});
+
+module.exports = {
+  CONTACT_REQUEST_STATUSES,
+  getContactRequestLimits,
+  getContactRequestExpiry,
+  contactStatusFilter,
+  withEffectiveStatus,
+  summarizeDonationRequest,
+};
@@ -0,0 +1,108 @@
+// utils/donationStatus.js
+
+const { isOwner } = require("./ownership");
+
+const DONATION_STATUSES = [
+  "pending",
+  "inprogress",
+  "donated",
+  "disputed",
+  "done",
+  "canceled",
+  "expired",
+];
+
+// Requests that still need attention from staff
+const OPEN_STATUSES = ["pending", "inprogress", "donated", "disputed"];
+
+// Allowed status transitions and who may perform each one.
+// "requester" owns the request, "donor" is the donor who confirmed it
+// (or, for pending -> inprogress, the user claiming it). "system" is the
+// background scheduler.
+const STATUS_TRANSITIONS = {
+  pending: {
+    inprogress: ["donor"],
+    canceled: ["requester", "admin", "volunteer"],
+    // The donation date passed without anyone confirming
+    expired: ["system"],
+  },
+  inprogress: {
+    // The donor reports giving blood; the requester still has to confirm
+    // Nobody may skip to `done`: the donor reports first, then the
+    // requester (or staff settling a report) confirms
+    donated: ["donor"],
+    canceled: ["requester", "admin", "volunteer"],
+    // The donor withdraws and the request goes back to the public list
+    pending: ["donor", "admin"],
+  },
+  // Only a confirmed completion (`done`) counts towards the donor's history
+  donated: {
+    done: ["requester", "admin", "volunteer"],
+    disputed: ["requester"],
+  },
+  // The requester says the donation did not happen; staff settle it
+  disputed: {
+    done: ["admin", "volunteer"],
+    pending: ["admin", "volunteer"],
+    canceled: ["admin", "volunteer"],
+  },
+  done: {},
+  canceled: {},
+  expired: {},
+};
+
+const isValidStatus = (status) => DONATION_STATUSES.includes(status);
+
+// Every capacity the user acts in for this request. `account` is the
+// verified token ({ uid, email }), `user` the user document.
+const getActorRoles = (request, user, account) => {
+  const roles = [];
+  if (isOwner("requester", request, account)) roles.push("requester");
+  if (isOwner("donor", request, account)) roles.push("donor");
+  if (user?.role === "admin" || user?.role === "volunteer") {
+    roles.push(user.role);
+  }
+  return roles;
+};
+
+const getAllowedRoles = (from, to) => STATUS_TRANSITIONS[from]?.[to] || null;
+
+const canTransition = (from, to, actorRoles) => {
+  const allowedRoles = getAllowedRoles(from, to);
+  return !!allowedRoles && actorRoles.some((r) => allowedRoles.includes(r));
+};
+
+// The role recorded in the history entry for a transition
+const pickActorRole = (from, to, actorRoles) => {
+  const allowedRoles = getAllowedRoles(from, to) || [];
+  return actorRoles.find((r) => allowedRoles.includes(r)) || actorRoles[0];
+};
+
+const buildStatusHistoryEntry = ({
+  from,
+  to,
+  actorUid,
+  actorEmail,
+  actorRole,
+  reason,
+}) => ({
+  from,
+  to,
+  actorUid: actorUid || null,
+  actorEmail,
+  actorRole,
+  reason: reason || null,
+  at: new Date(),
+});
+
+module.exports = {
+  DONATION_STATUSES,
+  OPEN_STATUSES,
+  STATUS_TRANSITIONS,
+  isValidStatus,
+  getActorRoles,
+  getAllowedRoles,
+  canTransition,
+  pickActorRole,
+  buildStatusHistoryEntry,
+};
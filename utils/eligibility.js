@@ -0,0 +1,79 @@
+// utils/eligibility.js
+
+const { toDonationDateTime } = require("../schemas/donationRequest");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DEFERRAL_DAYS = 90;
+
+// Days a donor must wait after giving blood, overridable per deployment
+const getDeferralDays = () => {
+  const days = parseInt(process.env.DONATION_DEFERRAL_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_DEFERRAL_DAYS;
+};
+
+const getNextEligibleDate = (lastDonationDate) => {
+  if (!lastDonationDate) return null;
+  return new Date(
+    new Date(lastDonationDate).getTime() + getDeferralDays() * DAY_IN_MS
+  );
+};
+
+const getEligibility = (user, now = new Date()) => {
+  const lastDonationDate = user?.lastDonationDate || null;
+  const nextEligibleDate = getNextEligibleDate(lastDonationDate);
+  const eligible = !nextEligibleDate || nextEligibleDate <= now;
+
+  return {
+    eligible,
+    lastDonationDate,
+    nextEligibleDate,
+    daysRemaining: eligible
+      ? 0
+      : Math.ceil((nextEligibleDate.getTime() - now.getTime()) / DAY_IN_MS),
+    deferralDays: getDeferralDays(),
+  };
+};
+
+// Mongo filter for donors who are outside their deferral window
+const eligibleDonorFilter = (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getDeferralDays() * DAY_IN_MS);
+  return {
+    $or: [
+      { lastDonationDate: { $exists: false } },
+      { lastDonationDate: null },
+      { lastDonationDate: { $lte: cutoff } },
+    ],
+  };
+};
+
+// The moment a donor must be eligible by to give for `request`: its
+// donation date and time, or now if that has passed. Matching, confirming
+// and notifying all judge eligibility at this moment so they agree.
+const getEligibilityDate = (request, now = new Date()) => {
+  const donationAt = toDonationDateTime(
+    request.donationDate,
+    request.donationTime
+  );
+  return donationAt > now ? donationAt : now;
+};
+
+// The date a completed request counts as donated: the scheduled date, unless
+// that is missing or still in the future
+const resolveDonationDate = (request, now = new Date()) => {
+  const scheduled = request?.donationDate
+    ? new Date(request.donationDate)
+    : null;
+  if (!scheduled || isNaN(scheduled.getTime()) || scheduled > now) {
+    return now;
+  }
+  return scheduled;
+};
+
+module.exports = {
+  getDeferralDays,
+  getNextEligibleDate,
+  getEligibility,
+  eligibleDonorFilter,
+  getEligibilityDate,
+  resolveDonationDate,
+};
@@ -0,0 +1,10 @@
+// utils/env.js
+
+// A positive integer from the environment variable `name`, or `fallback`
+// when it is unset or invalid
+const readPositiveInt = (name, fallback, env = process.env) => {
+  const value = parseInt(env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+module.exports = { readPositiveInt };
@@ -0,0 +1,145 @@
+// utils/geo.js
+
+const { validate } = require("./validate");
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
+// Smallest radius for the public donor search. Tiny circles around
+// different centres would otherwise narrow down where a donor lives.
+const MIN_DONOR_RADIUS_KM = 5;
+
+const coordinateFields = {
+  lat: { type: "number", label: "Latitude", min: -90, max: 90 },
+  lng: { type: "number", label: "Longitude", min: -180, max: 180 },
+};
+
+// GeoJSON stores longitude first
+const toPoint = (lat, lng) => ({ type: "Point", coordinates: [lng, lat] });
+
+// Great-circle distance between two { lat, lng } points
+const distanceKm = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Reads optional `lat`/`lng` from a body. Returns `{ point, errors }` where
+ * `point` is a GeoJSON Point, `null` when both are null (clear the stored
+ * location), or `undefined` when neither was sent.
+ */
+const parseCoordinates = (data) => {
+  const { lat, lng } = data || {};
+  if (lat === undefined && lng === undefined) {
+    return { point: undefined, errors: [] };
+  }
+  if (lat === null && lng === null) {
+    return { point: null, errors: [] };
+  }
+
+  const { value, errors } = validate(
+    { fields: coordinateFields },
+    { lat, lng }
+  );
+  if (errors.length > 0) return { point: undefined, errors };
+  if (value.lat === undefined || value.lng === undefined) {
+    return {
+      point: undefined,
+      errors: [
+        {
+          field: value.lat === undefined ? "lat" : "lng",
+          message: "Latitude and longitude must be sent together.",
+        },
+      ],
+    };
+  }
+  return { point: toPoint(value.lat, value.lng), errors: [] };
+};
+
+/**
+ * Reads `lat`, `lng` and `radiusKm` from a query string. Returns
+ * `{ radius, errors }` where `radius` is `{ point, radiusKm }`, or null when
+ * no coordinates were given. `minRadiusKm` sets the smallest radius allowed.
+ */
+const parseRadiusQuery = (query, { minRadiusKm = 0.1 } = {}) => {
+  const { lat, lng, radiusKm } = query;
+  if (lat === undefined && lng === undefined) {
+    return { radius: null, errors: [] };
+  }
+
+  const { value, errors } = validate(
+    {
+      fields: {
+        lat: { ...coordinateFields.lat, required: true },
+        lng: { ...coordinateFields.lng, required: true },
+        radiusKm: {
+          type: "number",
+          label: "Radius",
+          min: minRadiusKm,
+          max: MAX_RADIUS_KM,
+        },
+      },
+    },
+    { lat, lng, radiusKm }
+  );
+  if (errors.length > 0) return { radius: null, errors };
+
+  return {
+    radius: {
+      point: toPoint(value.lat, value.lng),
+      radiusKm: value.radiusKm ?? DEFAULT_RADIUS_KM,
+    },
+    errors: [],
+  };
+};
+
+// First pipeline stage for results ordered by distance from the point.
+// The exact distance in metres is written to `distance`.
+const geoNearStage = ({ point, radiusKm }, query = {}) => ({
+  $geoNear: {
+    near: point,
+    distanceField: "distance",
+    maxDistance: radiusKm * 1000,
+    spherical: true,
+    query,
+  },
+});
+
+// The same area as a filter, for countDocuments()
+const withinRadiusFilter = ({ point, radiusKm }) => ({
+  location: {
+    $geoWithin: {
+      $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM],
+    },
+  },
+});
+
+// Projection expression that exposes only a whole-kilometre distance, so
+// exact locations cannot be worked out from search results
+const approximateDistanceKm = {
+  $max: [1, { $round: [{ $divide: ["$distance", 1000] }, 0] }],
+};
+
+// A distance rounded up to the next `stepKm` (at least one step), for
+// people who only need to know roughly how far away a donor is
+const bucketDistanceKm = (km, stepKm = MIN_DONOR_RADIUS_KM) =>
+  Math.max(1, Math.ceil(km / stepKm)) * stepKm;
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  MIN_DONOR_RADIUS_KM,
+  toPoint,
+  distanceKm,
+  parseCoordinates,
+  parseRadiusQuery,
+  geoNearStage,
+  withinRadiusFilter,
+  approximateDistanceKm,
+  bucketDistanceKm,
+};
@@ -0,0 +1,248 @@
+// utils/listQuery.js
+
+const { ObjectId, BSON } = require("mongodb");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const LIST_HEADERS = ["X-Total-Count", "X-Page", "X-Limit", "X-Next-Cursor"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const encodeCursor = (value, id) =>
+  Buffer.from(BSON.EJSON.stringify({ v: value ?? null, id })).toString(
+    "base64url"
+  );
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = BSON.EJSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (!(id instanceof ObjectId)) return null;
+    return { value: v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Builds middleware that parses the shared list query contract into
+ * `req.listQuery`:
+ *
+ *   page, limit     page-based pagination (limit capped at MAX_LIMIT)
+ *   cursor          opaque cursor from a previous X-Next-Cursor header
+ *   sort, order     one of `config.sortFields`, and asc/desc
+ *   q               case-insensitive text search over `config.searchFields`
+ *
+ * With `config.unlimitedByDefault`, a missing or `0` limit returns every
+ * result, as routes that predate paging always did.
+ *
+ * `config.compoundSorts` maps a sort name to several keys, e.g.
+ * `{ urgency: { urgencyRank: -1, donationDate: 1 } }`, applied as written
+ * unless order=desc; those sorts only support page-based pagination.
+ * Invalid parameters get a 400 before the route handler runs.
+ */
+const listQuery = (config) => (req, res, next) => {
+  const { page, limit, cursor, sort, order, q } = req.query;
+  const errors = [];
+
+  const parsedPage = page === undefined ? 1 : parseInt(page);
+  if (!Number.isInteger(parsedPage) || parsedPage < 1) {
+    errors.push({ field: "page", message: "page must be a positive integer." });
+  }
+
+  const unlimited =
+    !!config.unlimitedByDefault && (limit === undefined || limit === "0");
+  const parsedLimit =
+    limit === undefined
+      ? config.defaultLimit || DEFAULT_LIMIT
+      : parseInt(limit);
+  if (!unlimited && (!Number.isInteger(parsedLimit) || parsedLimit < 1)) {
+    errors.push({
+      field: "limit",
+      message: "limit must be a positive integer.",
+    });
+  }
+
+  const sortField = sort || config.defaultSort.field;
+  if (!config.sortFields.includes(sortField)) {
+    errors.push({
+      field: "sort",
+      message: `sort must be one of: ${config.sortFields.join(", ")}.`,
+    });
+  }
+
+  // A compound sort orders by several keys in the directions it lists
+  // (unless order=desc reverses all of them), whatever the route's default
+  // direction for its other fields
+  const compoundSort = config.compoundSorts?.[sortField];
+
+  let sortDirection = compoundSort ? 1 : config.defaultSort.direction;
+  if (order !== undefined) {
+    if (!["asc", "desc"].includes(order)) {
+      errors.push({ field: "order", message: "order must be asc or desc." });
+    }
+    sortDirection = order === "asc" ? 1 : -1;
+  }
+
+  let decodedCursor = null;
+  if (cursor && compoundSort) {
+    errors.push({
+      field: "cursor",
+      message: `cursor is not supported when sorting by ${sortField}; use page.`,
+    });
+  } else if (cursor) {
+    decodedCursor = decodeCursor(cursor);
+    if (!decodedCursor) {
+      errors.push({ field: "cursor", message: "cursor is not valid." });
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).send({ message: "Invalid list query.", errors });
+  }
+
+  // A limit of 0 means no limit, as in MongoDB
+  const pageLimit = unlimited ? 0 : Math.min(parsedLimit, MAX_LIMIT);
+  req.listQuery = {
+    page: decodedCursor ? null : parsedPage,
+    limit: pageLimit,
+    skip: decodedCursor ? 0 : (parsedPage - 1) * pageLimit,
+    cursor: decodedCursor,
+    sortField,
+    sortDirection,
+    sort: compoundSort
+      ? {
+          ...Object.fromEntries(
+            Object.entries(compoundSort).map(([key, direction]) => [
+              key,
+              direction * sortDirection,
+            ])
+          ),
+          _id: sortDirection,
+        }
+      : { [sortField]: sortDirection, _id: sortDirection },
+    compound: !!compoundSort,
+    q: typeof q === "string" ? q.trim() : "",
+    searchFields: config.searchFields || [],
+  };
+  next();
+};
+
+// Free-text search across the configured fields
+const buildSearchFilter = (listOptions) => {
+  if (!listOptions.q || listOptions.searchFields.length === 0) return null;
+  const pattern = new RegExp(escapeRegex(listOptions.q), "i");
+  return {
+    $or: listOptions.searchFields.map((field) => ({ [field]: pattern })),
+  };
+};
+
+// Everything strictly after the cursor in the current sort order
+const buildCursorFilter = (listOptions) => {
+  if (!listOptions.cursor) return null;
+  const { sortField, sortDirection, cursor } = listOptions;
+  const op = sortDirection === 1 ? "$gt" : "$lt";
+
+  if (sortField === "_id") {
+    return { _id: { [op]: cursor.id } };
+  }
+  return {
+    $or: [
+      { [sortField]: { [op]: cursor.value } },
+      { [sortField]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+// Combines the route's own filter with search (and optionally the cursor)
+const buildListFilter = (
+  baseFilter,
+  listOptions,
+  { withCursor = true } = {}
+) => {
+  const clauses = [
+    baseFilter,
+    buildSearchFilter(listOptions),
+    withCursor ? buildCursorFilter(listOptions) : null,
+  ].filter((clause) => clause && Object.keys(clause).length > 0);
+
+  if (clauses.length === 0) return {};
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+};
+
+const getNextCursor = (items, listOptions) => {
+  if (
+    listOptions.compound ||
+    listOptions.limit === 0 ||
+    items.length < listOptions.limit
+  ) {
+    return null;
+  }
+  const last = items[items.length - 1];
+  return encodeCursor(last[listOptions.sortField], last._id);
+};
+
+// Whether a projection lists the fields to keep ({ name: 1 }) rather than
+// the ones to drop ({ secret: 0 }); `_id` may be dropped from either, and
+// only decides on its own
+const isInclusionProjection = ({ _id, ...fields }) => {
+  const values = Object.values(fields);
+  if (values.length === 0) return _id !== undefined && !!_id;
+  return values.some((value) => value !== 0 && value !== false);
+};
+
+/**
+ * Runs one page of a find() for a list route and counts the full result set.
+ * The sort field is always kept in the projection so a cursor can be built:
+ * an inclusion projection gets it added, while an exclusion projection
+ * already keeps it (MongoDB rejects a projection that mixes the two).
+ */
+const findPage = async (collection, baseFilter, listOptions, options = {}) => {
+  const countFilter = buildListFilter(baseFilter, listOptions, {
+    withCursor: false,
+  });
+  const pageFilter = buildListFilter(baseFilter, listOptions);
+
+  const cursor = collection
+    .find(pageFilter)
+    .sort(listOptions.sort)
+    .skip(listOptions.skip)
+    .limit(listOptions.limit);
+  if (options.projection) {
+    cursor.project({
+      ...options.projection,
+      ...(!listOptions.compound &&
+        isInclusionProjection(options.projection) && {
+          [listOptions.sortField]: 1,
+        }),
+    });
+  }
+
+  const [items, total] = await Promise.all([
+    cursor.toArray(),
+    collection.countDocuments(countFilter),
+  ]);
+
+  return { items, total, nextCursor: getNextCursor(items, listOptions) };
+};
+
+// Sends the page body as a plain array, with the paging info in headers
+const sendPage = (res, { items, total, nextCursor }, listOptions) => {
+  res.set("X-Total-Count", String(total));
+  if (listOptions.limit) res.set("X-Limit", String(listOptions.limit));
+  if (listOptions.page) res.set("X-Page", String(listOptions.page));
+  if (nextCursor) res.set("X-Next-Cursor", nextCursor);
+  res.send(items);
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  LIST_HEADERS,
+  listQuery,
+  buildListFilter,
+  findPage,
+  sendPage,
+};
@@ -0,0 +1,163 @@
+// utils/locations.js
+
+const {
+  divisions,
+  districts,
+  upazilas,
+} = require("../data/bangladeshLocations.json");
+const { distanceKm } = require("./geo");
+
+// Older or alternative English spellings still in common use
+const DISTRICT_ALIASES = {
+  barishal: "Barisal",
+  bogra: "Bogura",
+  chittagong: "Chattogram",
+  chattagram: "Chattogram",
+  cumilla: "Comilla",
+  "coxs bazar": "Cox's Bazar",
+  coxsbazar: "Cox's Bazar",
+  jessore: "Jashore",
+  jhalokati: "Jhalakathi",
+  jhalokathi: "Jhalakathi",
+  maulvibazar: "Moulvibazar",
+  "chapai nawabganj": "Chapainawabganj",
+  nawabganj: "Chapainawabganj",
+  netrakona: "Netrokona",
+  laxmipur: "Lakshmipur",
+};
+
+// Lowercase, drop punctuation and collapse whitespace so "Dhaka " and
+// "dhaka" compare equal
+const normalizeName = (value) =>
+  String(value)
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/['’.]/g, "")
+    .replace(/[\s_-]+/g, " ")
+    .trim();
+
+const divisionsById = new Map(divisions.map((d) => [d.id, d]));
+const districtsById = new Map(districts.map((d) => [d.id, d]));
+const upazilasById = new Map(upazilas.map((u) => [u.id, u]));
+
+const districtsByName = new Map();
+districts.forEach((d) => {
+  districtsByName.set(normalizeName(d.name), d);
+  districtsByName.set(normalizeName(d.bnName), d);
+});
+Object.entries(DISTRICT_ALIASES).forEach(([alias, name]) => {
+  districtsByName.set(alias, districtsByName.get(normalizeName(name)));
+});
+
+const findDivision = (value) => {
+  if (value === undefined || value === null) return null;
+  const key = String(value).trim();
+  return (
+    divisionsById.get(key) ||
+    divisions.find(
+      (d) =>
+        normalizeName(d.name) === normalizeName(key) ||
+        normalizeName(d.bnName) === normalizeName(key)
+    ) ||
+    null
+  );
+};
+
+// Accepts a district ID, English name, Bangla name or known alias
+const findDistrict = (value) => {
+  if (value === undefined || value === null) return null;
+  const key = String(value).trim();
+  return (
+    districtsById.get(key) || districtsByName.get(normalizeName(key)) || null
+  );
+};
+
+// Upazila names repeat across districts, so a district narrows the lookup
+const findUpazila = (value, districtId) => {
+  if (value === undefined || value === null) return null;
+  const key = String(value).trim();
+
+  const byId = upazilasById.get(key);
+  if (byId && (!districtId || byId.districtId === districtId)) return byId;
+
+  const name = normalizeName(key);
+  const candidates = upazilas.filter(
+    (u) =>
+      (!districtId || u.districtId === districtId) &&
+      (normalizeName(u.name) === name || normalizeName(u.bnName) === name)
+  );
+  // Without a district, only an unambiguous name is accepted
+  return candidates.length === 1 ? candidates[0] : null;
+};
+
+const getDistricts = (divisionId) =>
+  divisionId ? districts.filter((d) => d.divisionId === divisionId) : districts;
+
+const getUpazilas = (districtId) =>
+  districtId ? upazilas.filter((u) => u.districtId === districtId) : upazilas;
+
+// Districts whose centre lies within `radiusKm` of the given district's
+// centre, nearest first, not including the district itself. Centroid
+// distance stands in for shared borders, which the gazetteer does not have.
+const getNeighbouringDistricts = (districtId, radiusKm) => {
+  const origin = districtsById.get(districtId);
+  if (!origin) return [];
+  return districts
+    .filter((d) => d.id !== origin.id)
+    .map((d) => ({ district: d, distance: distanceKm(origin, d) }))
+    .filter(({ distance }) => distance <= radiusKm)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ district }) => district);
+};
+
+/**
+ * Resolves a free-text or ID district/upazila pair to gazetteer entries.
+ * `fields` names the request fields so errors point at what the client sent.
+ * Returns `{ district, upazila, errors }`; missing inputs resolve to null.
+ */
+const resolveLocation = (
+  { district, upazila },
+  fields = { district: "district", upazila: "upazila" }
+) => {
+  const errors = [];
+  let resolvedDistrict = null;
+  let resolvedUpazila = null;
+
+  if (district !== undefined && district !== null && district !== "") {
+    resolvedDistrict = findDistrict(district);
+    if (!resolvedDistrict) {
+      errors.push({
+        field: fields.district,
+        message: `Unknown district: ${district}.`,
+      });
+    }
+  }
+
+  if (upazila !== undefined && upazila !== null && upazila !== "") {
+    resolvedUpazila = findUpazila(upazila, resolvedDistrict?.id);
+    if (!resolvedUpazila) {
+      errors.push({
+        field: fields.upazila,
+        message: resolvedDistrict
+          ? `Unknown upazila in ${resolvedDistrict.name}: ${upazila}.`
+          : `Unknown upazila: ${upazila}.`,
+      });
+    } else if (!resolvedDistrict) {
+      resolvedDistrict = districtsById.get(resolvedUpazila.districtId);
+    }
+  }
+
+  return { district: resolvedDistrict, upazila: resolvedUpazila, errors };
+};
+
+module.exports = {
+  divisions,
+  normalizeName,
+  findDivision,
+  findDistrict,
+  findUpazila,
+  getDistricts,
+  getUpazilas,
+  resolveLocation,
+  getNeighbouringDistricts,
+};
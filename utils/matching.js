@@ -0,0 +1,116 @@
+// utils/matching.js
+
+const { getCompatibleDonorGroups } = require("./bloodCompatibility");
+const { getDeferralDays } = require("./eligibility");
+const { isAvailableOn } = require("./availability");
+const { findDistrict } = require("./locations");
+const { distanceKm } = require("./geo");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// How much each factor counts towards a donor's match score (sums to 1)
+const MATCH_WEIGHTS = {
+  compatibility: 0.3,
+  location: 0.3,
+  availability: 0.15,
+  rest: 0.1,
+  reliability: 0.15,
+};
+
+// Donors further than this from the hospital are not suggested
+const getMatchRadiusKm = () => {
+  const km = parseFloat(process.env.MATCH_RADIUS_KM);
+  return km > 0 ? km : 60;
+};
+
+const toLatLng = (point) =>
+  point?.coordinates
+    ? { lat: point.coordinates[1], lng: point.coordinates[0] }
+    : null;
+
+// Kilometres between donor and request: exact coordinates when both have
+// them, otherwise the distance between district centres (0 when the same)
+const estimateDistanceKm = (donor, request) => {
+  const donorPoint = toLatLng(donor.location);
+  const requestPoint = toLatLng(request.location);
+  if (donorPoint && requestPoint) return distanceKm(donorPoint, requestPoint);
+
+  if (!donor.districtId || !request.recipientDistrictId) return null;
+  if (donor.districtId === request.recipientDistrictId) return 0;
+  const donorDistrict = findDistrict(donor.districtId);
+  const requestDistrict = findDistrict(request.recipientDistrictId);
+  if (!donorDistrict || !requestDistrict) return null;
+  return distanceKm(donorDistrict, requestDistrict);
+};
+
+const compatibilityScore = (donor, request) => {
+  const groups = getCompatibleDonorGroups(request.bloodGroup);
+  const index = groups.indexOf(donor.bloodGroup);
+  if (index === -1) return 0;
+  // Exact match scores 1, the least specific compatible group least
+  return 1 - index / groups.length;
+};
+
+const locationScore = (donor, request, distance) => {
+  if (
+    donor.upazilaId &&
+    donor.upazilaId === request.recipientUpazilaId &&
+    !(donor.location && request.location)
+  ) {
+    return 1;
+  }
+  if (distance === null) return 0;
+  return Math.max(0, 1 - distance / getMatchRadiusKm());
+};
+
+// Longer since the last donation scores higher, up to twice the deferral
+// period. Donors who never donated count as fully rested.
+const restScore = (donor, now) => {
+  if (!donor.lastDonationDate) return 1;
+  const days = (now - new Date(donor.lastDonationDate)) / DAY_IN_MS;
+  return Math.min(1, Math.max(0, days / (2 * getDeferralDays())));
+};
+
+// Share of confirmed donations the donor completed, smoothed so donors
+// without history start at 0.5
+const reliabilityScore = ({ confirmed = 0, completed = 0 } = {}) =>
+  (completed + 1) / (confirmed + 2);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Scores a candidate donor for a donation request. `history` is
+ * `{ confirmed, completed }` for the donor. Returns the weighted `score`
+ * (0 to 1), each factor's score and the distance used, or null when the
+ * donor is outside the match radius.
+ */
+const scoreDonorMatch = (donor, request, history, now = new Date()) => {
+  const distance = estimateDistanceKm(donor, request);
+  if (distance !== null && distance > getMatchRadiusKm()) return null;
+
+  const factors = {
+    compatibility: compatibilityScore(donor, request),
+    location: locationScore(donor, request, distance),
+    availability: isAvailableOn(donor, request.donationDate) ? 1 : 0,
+    rest: restScore(donor, now),
+    reliability: reliabilityScore(history),
+  };
+  const score = Object.entries(MATCH_WEIGHTS).reduce(
+    (total, [factor, weight]) => total + factors[factor] * weight,
+    0
+  );
+
+  return {
+    score: round(score),
+    factors: Object.fromEntries(
+      Object.entries(factors).map(([factor, value]) => [factor, round(value)])
+    ),
+    distanceKm: distance,
+  };
+};
+
+module.exports = {
+  MATCH_WEIGHTS,
+  getMatchRadiusKm,
+  scoreDonorMatch,
+};
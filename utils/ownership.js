@@ -0,0 +1,66 @@
+// utils/ownership.js
+
+// Where each party to a record is stored. Records are matched by the
+// party's uid, so they stay linked after a sign-in email change; records
+// saved before uids were stored (or for a legacy user without one) fall
+// back to the email.
+const OWNER_FIELDS = {
+  requester: { uid: "requesterUid", email: "requesterEmail" },
+  donor: { uid: "donorUid", email: "donorEmail" },
+  recipient: { uid: "recipientUid", email: "recipientEmail" },
+  assignee: { uid: "assignedTo.uid", email: "assignedTo.email" },
+};
+
+const getPath = (record, path) =>
+  path.split(".").reduce((value, key) => value?.[key], record);
+
+/**
+ * Filter for the records where `account` ({ uid, email }, such as a
+ * verified token) is the given party.
+ */
+const ownerFilter = (party, { uid, email }) => {
+  const fields = OWNER_FIELDS[party];
+  const clauses = [];
+  if (uid) clauses.push({ [fields.uid]: uid });
+  if (email) {
+    clauses.push({ [fields.email]: email, [fields.uid]: { $exists: false } });
+  }
+  if (clauses.length === 0) return { _id: null };
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+};
+
+// Whether `account` is the given party to an already loaded record
+const isOwner = (party, record, account) => {
+  const fields = OWNER_FIELDS[party];
+  const uid = getPath(record, fields.uid);
+  if (uid) return uid === account?.uid;
+  const email = getPath(record, fields.email);
+  return !!email && email === account?.email;
+};
+
+// The fields that record `user` as the given party (top-level parties only)
+const ownerFields = (party, user) => {
+  const fields = OWNER_FIELDS[party];
+  return {
+    ...(user.uid && { [fields.uid]: user.uid }),
+    [fields.email]: user.email,
+  };
+};
+
+// User collection filter for the given party to a record, or null if the
+// record has none
+const partyUserFilter = (party, record) => {
+  const fields = OWNER_FIELDS[party];
+  const uid = getPath(record, fields.uid);
+  if (uid) return { uid };
+  const email = getPath(record, fields.email);
+  return email ? { email } : null;
+};
+
+module.exports = {
+  OWNER_FIELDS,
+  ownerFilter,
+  isOwner,
+  ownerFields,
+  partyUserFilter,
+};
@@ -0,0 +1,27 @@
+// utils/urgency.js
+
+const URGENCY_LEVELS = ["critical", "urgent", "normal"];
+const DEFAULT_URGENCY = "normal";
+
+// Higher is more urgent. Sorting on urgencyRank descending puts critical
+// first, and requests saved before urgency existed (no rank) last.
+const URGENCY_RANK = {
+  critical: 2,
+  urgent: 1,
+  normal: 0,
+};
+
+// Most urgent first, then the soonest donation date and time
+const URGENCY_SORT = { urgencyRank: -1, donationDate: 1, donationTime: 1 };
+
+// How far around the request's district critical requests reach
+const getCriticalRadiusKm = () =>
+  parseInt(process.env.CRITICAL_NOTIFY_RADIUS_KM) || 60;
+
+module.exports = {
+  URGENCY_LEVELS,
+  DEFAULT_URGENCY,
+  URGENCY_RANK,
+  URGENCY_SORT,
+  getCriticalRadiusKm,
+};
@@ -0,0 +1,144 @@
+// utils/validate.js
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+const isValidCalendarDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Checks a single value against its rule. Returns [normalizedValue, error].
+const checkField = (value, rule) => {
+  const label = rule.label;
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") return [null, `${label} must be text.`];
+      const trimmed = value.trim();
+      if (rule.minLength && trimmed.length < rule.minLength) {
+        return [
+          null,
+          `${label} must be at least ${rule.minLength} characters.`,
+        ];
+      }
+      if (rule.maxLength && trimmed.length > rule.maxLength) {
+        return [null, `${label} must be at most ${rule.maxLength} characters.`];
+      }
+      if (rule.enum && !rule.enum.includes(trimmed)) {
+        return [null, `${label} must be one of: ${rule.enum.join(", ")}.`];
+      }
+      if (rule.pattern && !rule.pattern.test(trimmed)) {
+        return [null, `${label} is not in a valid format.`];
+      }
+      return [trimmed, null];
+    }
+    case "date":
+      if (typeof value !== "string" || !isValidCalendarDate(value)) {
+        return [null, `${label} must be a date in YYYY-MM-DD format.`];
+      }
+      return [value, null];
+    case "time":
+      if (typeof value !== "string" || !TIME_PATTERN.test(value)) {
+        return [null, `${label} must be a time in HH:mm format.`];
+      }
+      return [value, null];
+    case "number": {
+      const number = typeof value === "string" ? Number(value) : value;
+      if (typeof number !== "number" || isNaN(number)) {
+        return [null, `${label} must be a number.`];
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return [null, `${label} must be at least ${rule.min}.`];
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return [null, `${label} must be at most ${rule.max}.`];
+      }
+      return [number, null];
+    }
+    case "boolean":
+      if (typeof value !== "boolean") {
+        return [null, `${label} must be true or false.`];
+      }
+      return [value, null];
+    default:
+      return [value, null];
+  }
+};
+
+/**
+ * Validates `data` against a declared schema of the form
+ * `{ fields: { name: { type, label, required, ... } }, validate? }`.
+ *
+ * Unknown fields are rejected, except those listed in `serverFields`, which
+ * are dropped because the server always sets them itself. With `partial`,
+ * missing required fields are allowed so the same schema can check edits.
+ * Returns the normalized `value` and a list of `{ field, message }` errors.
+ */
+const validate = (schema, data, options = {}) => {
+  const { partial = false } = options;
+  const errors = [];
+  const value = {};
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return {
+      value,
+      errors: [{ field: null, message: "Request body must be an object." }],
+    };
+  }
+
+  const serverFields = schema.serverFields || [];
+  Object.keys(data).forEach((field) => {
+    if (!schema.fields[field] && !serverFields.includes(field)) {
+      errors.push({ field, message: `${field} is not an allowed field.` });
+    }
+  });
+
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const raw = data[field];
+    if (isBlank(raw)) {
+      if (rule.required && (!partial || raw !== undefined)) {
+        errors.push({ field, message: `${rule.label} is required.` });
+      }
+      return;
+    }
+
+    const [normalized, error] = checkField(raw, rule);
+    if (error) {
+      errors.push({ field, message: error });
+      return;
+    }
+
+    const customError = rule.validate && rule.validate(normalized, data);
+    if (customError) {
+      errors.push({ field, message: customError });
+      return;
+    }
+
+    value[field] = normalized;
+  });
+
+  if (errors.length === 0 && schema.validate) {
+    errors.push(...(schema.validate(value, options) || []));
+  }
+
+  return { value, errors };
+};
+
+// Standard 400 body for failed validation
+const validationErrorResponse = (errors) => ({
+  message: "Validation failed.",
+  errors,
+});
+
+module.exports = {
+  validate,
+  validationErrorResponse,
+  isValidCalendarDate,
+};
@@ -0,0 +1,36 @@
+// utils/withdrawals.js
+
+const { readPositiveInt } = require("./env");
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Withdrawals within this many days count towards the repeated flag
+const getWithdrawalWindowDays = () =>
+  readPositiveInt("WITHDRAWAL_WINDOW_DAYS", 180);
+
+// How many recent withdrawals mark a donor as withdrawing repeatedly
+const getRepeatedWithdrawalThreshold = () =>
+  readPositiveInt("REPEATED_WITHDRAWAL_THRESHOLD", 2);
+
+/**
+ * Summarizes a donor's withdrawals from confirmed requests for volunteers:
+ * the total, how many fall in the recent window, whether that reaches the
+ * repeated threshold, and the latest one.
+ */
+const getWithdrawalSummary = (user, now = new Date()) => {
+  const withdrawals = user?.withdrawals || [];
+  const since = now.getTime() - getWithdrawalWindowDays() * DAY_IN_MS;
+  const recent = withdrawals.filter(
+    (withdrawal) => new Date(withdrawal.at).getTime() >= since
+  ).length;
+
+  return {
+    total: withdrawals.length,
+    recent,
+    windowDays: getWithdrawalWindowDays(),
+    repeated: recent >= getRepeatedWithdrawalThreshold(),
+    last: withdrawals[withdrawals.length - 1] || null,
+  };
+};
+
+module.exports = { getWithdrawalSummary };